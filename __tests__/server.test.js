@@ -0,0 +1,109 @@
+jest.mock('../config/mysql', () => ({
+  mysqlConnection: {},
+  connectMySQL: jest.fn(),
+  executeQuery: jest.fn()
+}));
+jest.mock('../config/cosmosdb', () => ({ connectCosmosDB: jest.fn() }));
+
+const { executeQuery } = require('../config/mysql');
+const { io } = require('../server');
+
+// Minimal stand-in for a connected socket that records what it sends
+const connect = (user) => {
+  const socket = {
+    id: `socket-${user.userId}`,
+    data: { user },
+    rooms: new Set(),
+    handlers: {},
+    emitted: [],
+    broadcasts: [],
+    join: room => socket.rooms.add(room),
+    leave: room => socket.rooms.delete(room),
+    on: (event, handler) => {
+      socket.handlers[event] = handler;
+    },
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    to: room => ({ emit: (event, payload) => socket.broadcasts.push({ room, event, payload }) })
+  };
+  io.sockets.listeners('connection').forEach(listener => listener(socket));
+  return socket;
+};
+
+describe('socket handlers', () => {
+  let roomEmits;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    executeQuery.mockReset();
+    // User 1 belongs to chat 5 only
+    executeQuery.mockImplementation(async (sql, [chatId, userId]) =>
+      (chatId === 5 && userId === 1 ? [{ chat_id: 5 }] : []));
+    roomEmits = [];
+    jest.spyOn(io, 'to').mockImplementation(room => ({
+      emit: (event, payload) => roomEmits.push({ room, event, payload })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('joins only the authenticated user\'s room', () => {
+    const socket = connect({ userId: 1 });
+    socket.handlers.join_user_room(2);
+
+    expect([...socket.rooms]).toEqual(['user_1']);
+  });
+
+  test('join_chat refuses chats the user is not a member of', async () => {
+    const socket = connect({ userId: 1 });
+    const ack = jest.fn();
+
+    await socket.handlers.join_chat('6', ack);
+
+    expect(socket.rooms.has('chat_6')).toBe(false);
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Chat not found or access denied' });
+
+    await socket.handlers.join_chat('5', ack);
+
+    expect(socket.rooms.has('chat_5')).toBe(true);
+    expect(ack).toHaveBeenLastCalledWith({ ok: true, chatId: 5 });
+  });
+
+  test('send_message uses the authenticated sender', async () => {
+    const socket = connect({ userId: 1 });
+
+    await socket.handlers.send_message({ chatId: '5', senderId: 99, content: 'Hello' });
+
+    expect(roomEmits).toEqual([{
+      room: 'chat_5',
+      event: 'receive_message',
+      payload: expect.objectContaining({ chatId: 5, senderId: 1, content: 'Hello' })
+    }]);
+  });
+
+  test('send_message refuses chats the user is not a member of', async () => {
+    const socket = connect({ userId: 1 });
+
+    await socket.handlers.send_message({ chatId: '6', content: 'Hello' });
+
+    expect(roomEmits).toEqual([]);
+    expect(socket.emitted).toEqual([{ event: 'error', payload: { message: 'Chat not found or access denied' } }]);
+  });
+
+  test('typing events only reach joined chats', async () => {
+    const socket = connect({ userId: 1 });
+
+    socket.handlers.typing_start({ chatId: 5 });
+    expect(socket.broadcasts).toEqual([]);
+
+    await socket.handlers.join_chat(5);
+    socket.handlers.typing_start({ chatId: 5 });
+    socket.handlers.typing_stop({ chatId: 5 });
+
+    expect(socket.broadcasts).toEqual([
+      { room: 'chat_5', event: 'user_typing', payload: { userId: 1, isTyping: true } },
+      { room: 'chat_5', event: 'user_typing', payload: { userId: 1, isTyping: false } }
+    ]);
+  });
+});
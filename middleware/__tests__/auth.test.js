@@ -0,0 +1,57 @@
+jest.mock('../../config/mysql', () => ({
+  mysqlConnection: {},
+  executeQuery: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../../config/mysql');
+const { authenticateSocket } = require('../auth');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const handshake = ({ auth = {}, headers = {} } = {}) => ({ handshake: { auth, headers }, data: {} });
+
+// Runs the middleware and resolves to the error it passed on, or null
+const authenticate = (socket) => new Promise(resolve => {
+  authenticateSocket(socket, error => resolve(error || null));
+});
+
+describe('authenticateSocket', () => {
+  beforeEach(() => {
+    executeQuery.mockReset();
+  });
+
+  test('rejects a handshake without a token', async () => {
+    const error = await authenticate(handshake());
+
+    expect(error.message).toBe('Access token required');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid or expired token', async () => {
+    const forged = jwt.sign({ userId: 1 }, 'another-secret');
+    const expired = jwt.sign({ userId: 1 }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+    expect((await authenticate(handshake({ auth: { token: forged } }))).message).toBe('Invalid token');
+    expect((await authenticate(handshake({ auth: { token: expired } }))).message).toBe('Token expired');
+  });
+
+  test('rejects a token for a deleted user', async () => {
+    executeQuery.mockResolvedValue([]);
+    const token = jwt.sign({ userId: 1 }, process.env.JWT_SECRET);
+
+    const error = await authenticate(handshake({ auth: { token } }));
+
+    expect(error.message).toBe('Invalid token - user not found');
+  });
+
+  test('binds the socket to the token\'s user', async () => {
+    executeQuery.mockResolvedValue([{ id: 7, name: 'Sam' }]);
+    const token = jwt.sign({ userId: 7, email: 'sam@example.com', role: 'caregiver' }, process.env.JWT_SECRET);
+    const socket = handshake({ headers: { authorization: `Bearer ${token}` } });
+
+    expect(await authenticate(socket)).toBeNull();
+    expect(socket.data.user).toEqual({ userId: 7, email: 'sam@example.com', role: 'caregiver', name: 'Sam' });
+    expect(executeQuery).toHaveBeenCalledWith(expect.stringContaining('FROM users'), [7]);
+  });
+});
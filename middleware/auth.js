@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { mysqlConnection } = require('../config/mysql');
+const { mysqlConnection, executeQuery } = require('../config/mysql');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -76,6 +76,46 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Socket.IO handshake authentication - binds the socket to the token's user
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const users = await executeQuery(
+      'SELECT id, email, role, name FROM users WHERE id = ? AND deleted_at IS NULL',
+      [decoded.userId]
+    );
+
+    if (users.length === 0) {
+      return next(new Error('Invalid token - user not found'));
+    }
+
+    socket.data.user = {
+      userId: decoded.userId,
+      email: decoded.email,
+      role: decoded.role,
+      name: users[0].name
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired'));
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+    return next(new Error('Token verification failed'));
+  }
+};
+
 // Role-based authorization middleware
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -102,6 +142,7 @@ const requireProfessional = requireRole(['admin', 'super_admin', 'counselor', 't
 module.exports = {
   authenticateToken,
   optionalAuth,
+  authenticateSocket,
   requireRole,
   requireAdmin,
   requireProfessional
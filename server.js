@@ -5,7 +5,7 @@ const { Server } = require('socket.io');
 require('dotenv').config();
 
 // Import configurations
-const { connectMySQL } = require('./config/mysql');
+const { connectMySQL, executeQuery } = require('./config/mysql');
 const { connectCosmosDB } = require('./config/cosmosdb');
 
 // Import middleware
@@ -44,30 +44,67 @@ app.get('/health', (req, res) => {
 });
 
 
+// Socket.IO authentication (token in the handshake)
+io.use(authMiddleware.authenticateSocket);
+
+// Returns the chat id when the user is a current member of the chat
+const getMemberChatId = async (chatId, userId) => {
+  const rows = await executeQuery(
+    'SELECT chat_id FROM chat_members WHERE chat_id = ? AND user_id = ? AND left_at IS NULL',
+    [parseInt(chatId) || 0, userId]
+  );
+  return rows.length > 0 ? rows[0].chat_id : null;
+};
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  const { userId } = socket.data.user;
+  console.log(`User ${userId} connected:`, socket.id);
   
-  // Join user to their rooms
-  socket.on('join_user_room', (userId) => {
+  // Every socket receives its own user's notifications
+  socket.join(`user_${userId}`);
+  
+  // Kept for older clients; a socket can only ever join its own user room
+  socket.on('join_user_room', () => {
     socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined their room`);
   });
   
-  // Join chat room
-  socket.on('join_chat', (chatId) => {
-    socket.join(`chat_${chatId}`);
-    console.log(`User joined chat: ${chatId}`);
+  // Join chat room (members only)
+  socket.on('join_chat', async (chatId, ack) => {
+    try {
+      const memberChatId = await getMemberChatId(chatId, userId);
+      if (!memberChatId) {
+        socket.emit('error', { message: 'Chat not found or access denied' });
+        if (typeof ack === 'function') ack({ ok: false, error: 'Chat not found or access denied' });
+        return;
+      }
+      
+      socket.join(`chat_${memberChatId}`);
+      console.log(`User ${userId} joined chat: ${memberChatId}`);
+      if (typeof ack === 'function') ack({ ok: true, chatId: memberChatId });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to join chat' });
+      if (typeof ack === 'function') ack({ ok: false, error: 'Failed to join chat' });
+    }
+  });
+  
+  socket.on('leave_chat', (chatId) => {
+    socket.leave(`chat_${parseInt(chatId)}`);
   });
   
-  // Handle chat messages
+  // Handle chat messages; the sender is always the authenticated user
   socket.on('send_message', async (data) => {
     try {
+      const memberChatId = await getMemberChatId(data.chatId, userId);
+      if (!memberChatId) {
+        return socket.emit('error', { message: 'Chat not found or access denied' });
+      }
+      
       // Emit to all users in the chat room
-      io.to(`chat_${data.chatId}`).emit('receive_message', {
+      io.to(`chat_${memberChatId}`).emit('receive_message', {
         messageId: data.messageId,
-        chatId: data.chatId,
-        senderId: data.senderId,
+        chatId: memberChatId,
+        senderId: userId,
         content: data.content,
         timestamp: new Date()
       });
@@ -76,19 +113,25 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Handle typing indicators
+  // Handle typing indicators for chats this socket has joined
   socket.on('typing_start', (data) => {
-    socket.to(`chat_${data.chatId}`).emit('user_typing', {
-      userId: data.userId,
-      isTyping: true
-    });
+    const room = `chat_${parseInt(data && data.chatId)}`;
+    if (socket.rooms.has(room)) {
+      socket.to(room).emit('user_typing', {
+        userId: userId,
+        isTyping: true
+      });
+    }
   });
   
   socket.on('typing_stop', (data) => {
-    socket.to(`chat_${data.chatId}`).emit('user_typing', {
-      userId: data.userId,
-      isTyping: false
-    });
+    const room = `chat_${parseInt(data && data.chatId)}`;
+    if (socket.rooms.has(room)) {
+      socket.to(room).emit('user_typing', {
+        userId: userId,
+        isTyping: false
+      });
+    }
   });
   
   socket.on('disconnect', () => {
@@ -130,4 +173,9 @@ process.on('SIGINT', async () => {
   });
 });
 
-startServer();
\ No newline at end of file
+// Only start when run directly; the tests require this module for its socket handlers
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, server, io };
@@ -0,0 +1,447 @@
+// In-memory stand-in for the few MongoDB collection methods the chat helpers use
+jest.mock('mongodb', () => {
+  const same = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+  const valueMatches = (value, condition) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case '$ne':
+            return Array.isArray(value) ? !value.some(item => same(item, operand)) : !same(value, operand);
+          case '$gt':
+            return value !== undefined && value > operand;
+          case '$gte':
+            return value !== undefined && value >= operand;
+          case '$lte':
+            return value !== undefined && value <= operand;
+          case '$in':
+            return operand.some(item => same(value, item));
+          case '$type':
+            return typeof value === operand;
+          default:
+            throw new Error(`Unsupported operator ${operator}`);
+        }
+      });
+    }
+    return Array.isArray(value) ? value.some(item => same(item, condition)) : same(value, condition);
+  };
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, condition]) => valueMatches(doc[field], condition));
+  const applyUpdate = (doc, update, inserting = false) => {
+    Object.assign(doc, update.$set, inserting ? update.$setOnInsert : {});
+    Object.entries(update.$max || {}).forEach(([field, value]) => {
+      if (doc[field] === undefined || doc[field] < value) {
+        doc[field] = value;
+      }
+    });
+  };
+
+  const createCollection = () => {
+    const docs = [];
+    return {
+      docs,
+      createIndex: async () => 'index',
+      insertOne: async (doc) => {
+        docs.push({ ...doc });
+        return { acknowledged: true };
+      },
+      find: (filter) => ({ toArray: async () => docs.filter(doc => matches(doc, filter)).map(doc => ({ ...doc })) }),
+      findOne: async (filter, options = {}) => {
+        const found = docs.filter(doc => matches(doc, filter));
+        const [[field, direction] = []] = Object.entries(options.sort || {});
+        if (field) {
+          found.sort((a, b) => (a[field] - b[field]) * direction);
+        }
+        return found.length > 0 ? { ...found[0] } : null;
+      },
+      findOneAndUpdate: async (filter, update, options = {}) => {
+        let doc = docs.find(candidate => matches(candidate, filter));
+        const before = doc ? { ...doc } : null;
+        if (!doc && options.upsert) {
+          doc = { ...filter };
+          docs.push(doc);
+        }
+        if (doc) {
+          applyUpdate(doc, update, !before);
+        }
+        return options.returnDocument === 'before' ? before : doc && { ...doc };
+      },
+      updateOne: async (filter, update, options = {}) => {
+        const doc = docs.find(candidate => matches(candidate, filter));
+        if (doc) {
+          applyUpdate(doc, update);
+          return { matchedCount: 1, upsertedCount: 0 };
+        }
+        if (options.upsert) {
+          const inserted = { ...filter };
+          applyUpdate(inserted, update, true);
+          docs.push(inserted);
+          return { matchedCount: 0, upsertedCount: 1 };
+        }
+        return { matchedCount: 0, upsertedCount: 0 };
+      },
+      updateMany: async (filter, update) => {
+        const found = docs.filter(doc => matches(doc, filter));
+        found.forEach(doc => applyUpdate(doc, update));
+        return { modifiedCount: found.length };
+      },
+      distinct: async (field, filter) =>
+        [...new Set(docs.filter(doc => matches(doc, filter)).map(doc => doc[field]))],
+      countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length
+    };
+  };
+
+  const mockCollections = {};
+  const db = {
+    command: async () => ({ ok: 1 }),
+    collection: (name) => {
+      if (!mockCollections[name]) {
+        mockCollections[name] = createCollection();
+      }
+      return mockCollections[name];
+    }
+  };
+
+  return {
+    mockCollections,
+    ServerApiVersion: { v1: '1' },
+    MongoClient: class {
+      async connect() {}
+      db() {
+        return db;
+      }
+    }
+  };
+});
+
+// Chats by id with their member user ids, served by the mocked MySQL pool
+const mockChats = {
+  1: { id: 1, is_group: 0, participant1_id: 10, participant2_id: 20, members: [10, 20] },
+  2: { id: 2, is_group: 1, participant1_id: null, participant2_id: null, members: [10, 20, 30] }
+};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({
+    getConnection: async () => ({ ping: async () => {}, release: () => {} }),
+    execute: async (sql, params) => {
+      if (sql.includes('JOIN chat_members cm') && sql.includes('WHERE c.id = ?')) {
+        const [userId, chatId] = params;
+        const found = mockChats[chatId];
+        if (!found || !found.members.includes(userId)) {
+          return [[]];
+        }
+        const { members, ...row } = found;
+        return [[{ ...row, member_role: 'member', member_joined_at: new Date(0) }]];
+      }
+      return [{ affectedRows: 0 }];
+    }
+  })
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { mockCollections } = require('mongodb');
+const {
+  io, authenticateSocket, connectMySQL, connectCosmosDB, getReadCursors, countUnreadMessages, acknowledgeMessages
+} = require('../chatService');
+
+const chat = { id: 'chat-1' };
+const at = (minute) => new Date(Date.UTC(2026, 9, 19, 9, minute));
+
+const message = (id, senderId, minute, fields = {}) => ({
+  message_id: id,
+  chat_id: chat.id,
+  sender_id: senderId,
+  content: `Message ${id}`,
+  created_at: at(minute),
+  ...fields
+});
+
+// Minimal stand-in for a connected socket that records what it sends
+const connect = (user) => {
+  const socket = {
+    id: `socket-${user.userId}`,
+    data: { user },
+    rooms: new Set(),
+    handlers: {},
+    emitted: [],
+    broadcasts: [],
+    join: room => socket.rooms.add(room),
+    leave: room => socket.rooms.delete(room),
+    on: (event, handler) => {
+      socket.handlers[event] = handler;
+    },
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    to: room => ({ emit: (event, payload) => socket.broadcasts.push({ room, event, payload }) })
+  };
+  io.sockets.listeners('connection').forEach(listener => listener(socket));
+  return socket;
+};
+
+let emitted;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await connectMySQL();
+  await connectCosmosDB();
+});
+
+beforeEach(() => {
+  Object.values(mockCollections).forEach(collection => collection.docs.splice(0));
+  emitted = [];
+  jest.spyOn(io, 'to').mockImplementation(room => ({
+    emit: (event, payload) => emitted.push({ room, event, payload })
+  }));
+});
+
+afterEach(() => {
+  io.to.mockRestore();
+});
+
+describe('socket authentication', () => {
+  const handshake = ({ auth = {}, headers = {} } = {}) => ({ handshake: { auth, headers }, data: {} });
+  const authenticate = (socket) => new Promise(resolve => {
+    authenticateSocket(socket, error => resolve(error || null));
+  });
+
+  beforeEach(() => {
+    axios.post.mockReset();
+  });
+
+  test('rejects a handshake without a token', async () => {
+    expect((await authenticate(handshake())).message).toBe('Access token required');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('rejects a token the auth service does not accept', async () => {
+    axios.post.mockResolvedValue({ data: { valid: false } });
+
+    expect((await authenticate(handshake({ auth: { token: 'forged' } }))).message).toBe('Invalid token');
+  });
+
+  test('binds the socket to the validated user', async () => {
+    axios.post.mockResolvedValue({ data: { valid: true, userId: 10, email: 'a@example.com', role: 'caregiver' } });
+    const socket = handshake({ headers: { authorization: 'Bearer good-token' } });
+
+    expect(await authenticate(socket)).toBeNull();
+    expect(socket.data.user).toEqual({ userId: 10, email: 'a@example.com', role: 'caregiver' });
+    expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/validate'), { token: 'good-token' });
+  });
+});
+
+describe('socket handlers', () => {
+  test('join_chat refuses chats the user is not a member of', async () => {
+    const socket = connect({ userId: 30 });
+    const ack = jest.fn();
+
+    await socket.handlers.join_chat('1', ack);
+
+    expect(socket.rooms.has('chat_1')).toBe(false);
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Chat not found or access denied' });
+
+    await socket.handlers.join_chat('2', ack);
+
+    expect(socket.rooms.has('chat_2')).toBe(true);
+    expect(ack).toHaveBeenLastCalledWith({ ok: true, chatId: 2 });
+  });
+
+  test('send_message stores the message under the authenticated sender', async () => {
+    const socket = connect({ userId: 10 });
+    const ack = jest.fn();
+
+    await socket.handlers.send_message({ chatId: '1', senderId: 20, content: ' Hello ' }, ack);
+
+    const [stored] = mockCollections.chat_messages.docs;
+    expect(stored).toMatchObject({ chat_id: 1, sender_id: 10, recipient_id: 20, content: 'Hello' });
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: true, duplicate: false }));
+    expect(emitted).toEqual([{
+      room: 'chat_1',
+      event: 'receive_message',
+      payload: expect.objectContaining({ chatId: 1, senderId: 10, content: 'Hello' })
+    }]);
+  });
+
+  test('send_message refuses chats the user is not a member of', async () => {
+    const socket = connect({ userId: 30 });
+    const ack = jest.fn();
+
+    await socket.handlers.send_message({ chatId: '1', content: 'Hello' }, ack);
+
+    expect(mockCollections.chat_messages.docs).toEqual([]);
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: false, error: 'Chat not found or access denied' }));
+  });
+
+  test('typing events only reach joined chats', async () => {
+    const socket = connect({ userId: 10 });
+
+    socket.handlers.typing_start({ chatId: 1 });
+    expect(socket.broadcasts).toEqual([]);
+
+    await socket.handlers.join_chat(1);
+    socket.handlers.typing_start({ chatId: 1 });
+    socket.handlers.typing_stop({ chatId: 1 });
+
+    expect(socket.broadcasts).toEqual([
+      { room: 'chat_1', event: 'user_typing', payload: { userId: 10, isTyping: true } },
+      { room: 'chat_1', event: 'user_typing', payload: { userId: 10, isTyping: false } }
+    ]);
+  });
+});
+
+describe('message dedupe', () => {
+  const send = (socket, payload) => new Promise(resolve => {
+    socket.handlers.send_message({ chatId: '1', content: 'Hello', ...payload }, resolve);
+  });
+
+  test('a retried client message ID returns the stored message', async () => {
+    const socket = connect({ userId: 10 });
+
+    const first = await send(socket, { clientMessageId: 'c-1' });
+    const retry = await send(socket, { clientMessageId: 'c-1', content: 'Hello again' });
+
+    expect(first.duplicate).toBe(false);
+    expect(retry).toMatchObject({ ok: true, duplicate: true });
+    expect(retry.message.message_id).toBe(first.message.message_id);
+    expect(mockCollections.chat_messages.docs).toHaveLength(1);
+    expect(emitted).toHaveLength(1);
+  });
+
+  test('concurrent sends with one client message ID store one message', async () => {
+    const socket = connect({ userId: 10 });
+
+    const results = await Promise.all([
+      send(socket, { clientMessageId: 'c-2' }),
+      send(socket, { clientMessageId: 'c-2' })
+    ]);
+
+    expect(results.map(result => result.duplicate).sort()).toEqual([false, true]);
+    expect(mockCollections.chat_messages.docs).toHaveLength(1);
+  });
+
+  test('the same client message ID from another sender is a new message', async () => {
+    await send(connect({ userId: 10 }), { clientMessageId: 'c-3' });
+    await send(connect({ userId: 20 }), { clientMessageId: 'c-3' });
+
+    expect(mockCollections.chat_messages.docs).toHaveLength(2);
+  });
+
+  test('messages without a client message ID do not store one', async () => {
+    const socket = connect({ userId: 10 });
+
+    await send(socket, {});
+    await send(socket, {});
+
+    expect(mockCollections.chat_messages.docs).toHaveLength(2);
+    mockCollections.chat_messages.docs.forEach(doc => expect(doc).not.toHaveProperty('client_message_id'));
+  });
+
+  test('rejects unknown message types', async () => {
+    const result = await send(connect({ userId: 10 }), { messageType: 'script' });
+
+    expect(result).toMatchObject({ ok: false, error: 'Message type must be one of: text, image, file' });
+  });
+});
+
+describe('read cursors', () => {
+  beforeEach(() => {
+    mockCollections.chat_messages.docs.push(
+      message('m1', 10, 1, { recipient_id: 20, is_read: false }),
+      message('m2', 10, 2, { recipient_id: 20, is_read: false }),
+      message('m3', 20, 3, { recipient_id: 10, is_read: false }),
+      message('m4', 10, 4, { recipient_id: 20, is_read: false })
+    );
+  });
+
+  const unreadFor = async (userId, target = chat) => {
+    const cursors = await getReadCursors([target.id], userId);
+    return countUnreadMessages(target, userId, cursors.get(target.id));
+  };
+
+  test('counts messages from others after the read cursor', async () => {
+    expect(await unreadFor(20)).toBe(3);
+
+    await acknowledgeMessages(chat, 20, 'read', 'm2');
+
+    expect(await unreadFor(20)).toBe(1);
+    expect(await unreadFor(10)).toBe(1);
+  });
+
+  test('ignores deleted messages and messages hidden from the user', async () => {
+    mockCollections.chat_messages.docs.push(
+      message('m5', 10, 5, { is_deleted: true }),
+      message('m6', 10, 6, { deleted_for: [20] })
+    );
+
+    expect(await unreadFor(20)).toBe(3);
+  });
+
+  test('falls back to the is_read flag when the user has no cursor', async () => {
+    mockCollections.chat_messages.docs[0].is_read = true;
+
+    expect(await unreadFor(20)).toBe(2);
+  });
+
+  test('counts group messages from when the member joined', async () => {
+    const group = { id: 'group-1', is_group: 1, member_joined_at: at(2) };
+    mockCollections.chat_messages.docs.push(
+      message('g1', 10, 1, { chat_id: group.id, recipient_id: null, is_read: false }),
+      message('g2', 10, 3, { chat_id: group.id, recipient_id: null, is_read: false }),
+      message('g3', 30, 4, { chat_id: group.id, recipient_id: null, is_read: false })
+    );
+
+    expect(await unreadFor(20, group)).toBe(2);
+
+    await acknowledgeMessages(group, 20, 'delivered', 'g3');
+    expect(await unreadFor(20, group)).toBe(2);
+
+    await acknowledgeMessages(group, 20, 'read', 'g2');
+    expect(await unreadFor(20, group)).toBe(1);
+  });
+
+  test('reading the latest message marks earlier ones read and notifies senders', async () => {
+    const result = await acknowledgeMessages(chat, 20, 'read');
+
+    expect(result).toEqual({ messageId: 'm4', through: at(4), advanced: true });
+    expect(emitted).toEqual([{
+      room: 'user_10',
+      event: 'message_read',
+      payload: expect.objectContaining({ chatId: chat.id, userId: 20, messageId: 'm4', through: at(4) })
+    }]);
+
+    const [cursor] = mockCollections.chat_read_cursors.docs;
+    expect(cursor).toMatchObject({ user_id: 20, read_through: at(4), delivered_through: at(4) });
+    expect(mockCollections.chat_messages.docs
+      .filter(doc => doc.recipient_id === 20)
+      .every(doc => doc.is_read)).toBe(true);
+  });
+
+  test('never moves a cursor backwards', async () => {
+    await acknowledgeMessages(chat, 20, 'read', 'm4');
+    emitted = [];
+
+    const result = await acknowledgeMessages(chat, 20, 'read', 'm1');
+
+    expect(result).toEqual({ messageId: 'm1', through: at(4), advanced: false });
+    expect(emitted).toEqual([]);
+    expect(await unreadFor(20)).toBe(0);
+  });
+
+  test('delivery does not count as reading', async () => {
+    await acknowledgeMessages(chat, 20, 'delivered', 'm4');
+
+    const [cursor] = mockCollections.chat_read_cursors.docs;
+    expect(cursor.delivered_through).toEqual(at(4));
+    expect(cursor.read_through).toBeUndefined();
+    expect(emitted.map(entry => entry.event)).toEqual(['message_delivered']);
+    expect(await unreadFor(20)).toBe(3);
+  });
+
+  test('rejects unknown receipt types and messages outside the chat', async () => {
+    await expect(acknowledgeMessages(chat, 20, 'seen')).rejects.toThrow('Invalid receipt type');
+    await expect(acknowledgeMessages(chat, 20, 'read', 'missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('returns null when the chat has no messages', async () => {
+    expect(await acknowledgeMessages({ id: 'empty' }, 20, 'read')).toBeNull();
+  });
+});
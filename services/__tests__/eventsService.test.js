@@ -0,0 +1,311 @@
+// Rows returned by the mocked pool, keyed by a fragment of the SQL that reads them
+const mockTables = {};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({
+    getConnection: async () => ({ ping: async () => {}, release: () => {} }),
+    execute: async (sql) => {
+      const key = Object.keys(mockTables).find(fragment => sql.includes(fragment));
+      return [key ? mockTables[key] : []];
+    }
+  })
+}));
+
+const {
+  connectMySQL, expandRecurringEvent, buildICalendar, parseICalEvents, mapICalEvent, getOpenSlots
+} = require('../eventsService');
+
+const localTime = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+}).format(date);
+
+const series = (overrides) => ({
+  id: 1,
+  title: 'Speech therapy',
+  start_time: new Date('2026-03-02T14:00:00Z'),
+  end_time: new Date('2026-03-02T15:00:00Z'),
+  time_zone: 'America/New_York',
+  is_recurring: 1,
+  recurrence_pattern: 'FREQ=WEEKLY',
+  ...overrides
+});
+
+describe('expandRecurringEvent', () => {
+  const marchStart = new Date('2026-03-01T00:00:00Z');
+  const marchEnd = new Date('2026-03-31T23:59:59Z');
+
+  test('keeps the local start time across a DST change', () => {
+    const occurrences = expandRecurringEvent(series(), marchStart, marchEnd);
+
+    expect(occurrences.map(occurrence => occurrence.start_time.toISOString())).toEqual([
+      '2026-03-02T14:00:00.000Z',
+      '2026-03-09T13:00:00.000Z',
+      '2026-03-16T13:00:00.000Z',
+      '2026-03-23T13:00:00.000Z',
+      '2026-03-30T13:00:00.000Z'
+    ]);
+    occurrences.forEach(occurrence => {
+      expect(localTime(occurrence.start_time, 'America/New_York')).toBe('09:00');
+      expect(occurrence.end_time - occurrence.start_time).toBe(60 * 60 * 1000);
+    });
+  });
+
+  test('stops after COUNT occurrences', () => {
+    const occurrences = expandRecurringEvent(series({ recurrence_pattern: 'FREQ=WEEKLY;COUNT=3' }), marchStart, marchEnd);
+
+    expect(occurrences).toHaveLength(3);
+  });
+
+  test('counts COUNT from the series start, not the range start', () => {
+    const occurrences = expandRecurringEvent(
+      series({ recurrence_pattern: 'FREQ=WEEKLY;COUNT=3' }),
+      new Date('2026-03-10T00:00:00Z'),
+      marchEnd
+    );
+
+    expect(occurrences.map(occurrence => occurrence.start_time.toISOString())).toEqual([
+      '2026-03-16T13:00:00.000Z'
+    ]);
+  });
+
+  test('stops at UNTIL', () => {
+    const occurrences = expandRecurringEvent(
+      series({ recurrence_pattern: 'FREQ=WEEKLY;UNTIL=20260316T235959Z' }),
+      marchStart,
+      marchEnd
+    );
+
+    expect(occurrences).toHaveLength(3);
+  });
+
+  test('skips cancelled occurrences and moves modified ones', () => {
+    const occurrences = expandRecurringEvent(series(), marchStart, marchEnd, [
+      { event_id: 1, original_start: new Date('2026-03-09T13:00:00Z'), exception_type: 'skip' },
+      {
+        event_id: 1,
+        original_start: new Date('2026-03-16T13:00:00Z'),
+        exception_type: 'modify',
+        start_time: new Date('2026-03-17T15:00:00Z'),
+        end_time: new Date('2026-03-17T16:00:00Z'),
+        location: 'Room 4'
+      }
+    ]);
+    occurrences.sort((a, b) => a.start_time - b.start_time);
+
+    expect(occurrences.map(occurrence => occurrence.start_time.toISOString())).toEqual([
+      '2026-03-02T14:00:00.000Z',
+      '2026-03-17T15:00:00.000Z',
+      '2026-03-23T13:00:00.000Z',
+      '2026-03-30T13:00:00.000Z'
+    ]);
+
+    const moved = occurrences[1];
+    expect(moved.is_exception).toBe(true);
+    expect(moved.location).toBe('Room 4');
+    expect(moved.original_start_time.toISOString()).toBe('2026-03-16T13:00:00.000Z');
+    expect(moved.occurrence_id).toBe(`1_${Date.parse('2026-03-16T13:00:00Z')}`);
+  });
+
+  test('expands the last day of the month', () => {
+    const occurrences = expandRecurringEvent(
+      series({
+        start_time: new Date('2026-01-31T01:00:00Z'),
+        end_time: null,
+        time_zone: 'Asia/Tokyo',
+        recurrence_pattern: 'FREQ=MONTHLY;BYMONTHDAY=-1'
+      }),
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-04-30T23:59:59Z')
+    );
+
+    expect(occurrences.map(occurrence => occurrence.start_time.toISOString())).toEqual([
+      '2026-01-31T01:00:00.000Z',
+      '2026-02-28T01:00:00.000Z',
+      '2026-03-31T01:00:00.000Z',
+      '2026-04-30T01:00:00.000Z'
+    ]);
+  });
+
+  test('reaches the requested range of a long-running series', () => {
+    const occurrences = expandRecurringEvent(
+      series({ start_time: new Date('1960-01-04T14:00:00Z'), end_time: null, recurrence_pattern: 'FREQ=DAILY' }),
+      new Date('2026-03-02T00:00:00Z'),
+      new Date('2026-03-08T23:59:59Z')
+    );
+
+    expect(occurrences).toHaveLength(7);
+    expect(occurrences[0].start_time.toISOString()).toBe('2026-03-02T14:00:00.000Z');
+  });
+
+  test('caps occurrences within the requested range', () => {
+    const occurrences = expandRecurringEvent(
+      series({ start_time: new Date('2000-01-03T14:00:00Z'), end_time: null, recurrence_pattern: 'FREQ=DAILY' }),
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-12-31T23:59:59Z')
+    );
+
+    expect(occurrences).toHaveLength(365);
+  });
+
+  test('returns nothing for an unparseable pattern', () => {
+    expect(expandRecurringEvent(series({ recurrence_pattern: 'every other tuesday' }), marchStart, marchEnd)).toEqual([]);
+  });
+});
+
+describe('iCalendar export and import', () => {
+  const event = {
+    id: 7,
+    title: 'Check-up; bring forms, insurance card',
+    description: 'Line one\nLine two with a backslash \\ and a long tail that pushes this property well past the seventy-five octet limit',
+    event_type: 'medical',
+    start_time: new Date('2026-05-04T13:30:00Z'),
+    end_time: new Date('2026-05-04T14:15:00Z'),
+    location: 'Clinic, Room 2',
+    reminder_minutes: 30,
+    created_at: new Date('2026-04-01T10:00:00Z')
+  };
+
+  const roundTrip = (events) => parseICalEvents(buildICalendar(events, 'Family calendar'))
+    .map(component => mapICalEvent(component, { defaultTimeZone: 'UTC', defaultEventType: 'other' }));
+
+  test('folds long lines at 75 octets', () => {
+    const lines = buildICalendar([event], 'Family calendar').split('\r\n');
+
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+  });
+
+  test('escapes text values and adds the reminder alarm', () => {
+    const lines = buildICalendar([event], 'Family calendar').split('\r\n');
+
+    expect(lines).toContain('SUMMARY:Check-up\\; bring forms\\, insurance card');
+    expect(lines).toContain('LOCATION:Clinic\\, Room 2');
+    expect(lines).toContain('TRIGGER:-PT30M');
+  });
+
+  test('reads back what it exports', () => {
+    const [imported] = roundTrip([event]);
+
+    expect(imported.skip_reason).toBeFalsy();
+    expect(imported.uid).toMatch(/^event-7@/);
+    expect(imported.event).toMatchObject({
+      title: event.title,
+      event_type: 'medical',
+      location: 'Clinic, Room 2',
+      reminder_minutes: 30,
+      is_recurring: false
+    });
+    expect(new Date(imported.event.start_time).toISOString()).toBe('2026-05-04T13:30:00.000Z');
+    expect(new Date(imported.event.end_time).toISOString()).toBe('2026-05-04T14:15:00.000Z');
+    expect(imported.event.description).toContain('Line one\nLine two with a backslash \\ and a long tail');
+  });
+
+  test('keeps multi-byte characters intact through folding', () => {
+    const title = 'Physiotherapie – Übungen für zu Hause 🏠 '.repeat(3).trim();
+    const [imported] = roundTrip([{ ...event, title, description: null }]);
+
+    expect(imported.event.title).toBe(title);
+  });
+
+  test('applies floating times in the default time zone', () => {
+    const [component] = parseICalEvents([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc',
+      'DTSTART:20260504T090000',
+      'SUMMARY:School run',
+      'CATEGORIES:School',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+    const imported = mapICalEvent(component, { defaultTimeZone: 'America/New_York', defaultEventType: 'other' });
+
+    expect(new Date(imported.event.start_time).toISOString()).toBe('2026-05-04T13:00:00.000Z');
+    expect(imported.event.event_type).toBe('educational');
+  });
+});
+
+describe('getOpenSlots', () => {
+  const monday = new Date(Date.UTC(2026, 10, 2));
+  let nowSpy;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await connectMySQL();
+  });
+
+  beforeEach(() => {
+    nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-26T12:00:00Z'));
+    Object.keys(mockTables).forEach(key => delete mockTables[key]);
+    Object.assign(mockTables, {
+      'SELECT time_zone FROM users': [{ time_zone: 'America/New_York' }],
+      'FROM professional_booking_settings': [
+        { slot_minutes: 60, min_notice_hours: 24, cancellation_notice_hours: 24, max_advance_days: 60 }
+      ],
+      'FROM professional_availability': [
+        { id: 1, weekday: 1, start_minute: 9 * 60, end_minute: 12 * 60, location: 'Clinic' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  const startTimes = (slots) => slots.map(slot => slot.start_time.toISOString());
+
+  test('cuts weekly windows into slots in the professional\'s time zone', async () => {
+    const { slots, timeZone } = await getOpenSlots(5, monday, monday);
+
+    expect(timeZone).toBe('America/New_York');
+    expect(startTimes(slots)).toEqual([
+      '2026-11-02T14:00:00.000Z',
+      '2026-11-02T15:00:00.000Z',
+      '2026-11-02T16:00:00.000Z'
+    ]);
+    expect(slots[0]).toMatchObject({ local_date: '2026-11-02', location: 'Clinic' });
+  });
+
+  test('drops slots overlapping events and existing bookings', async () => {
+    mockTables['e.is_recurring = 0'] = [{
+      id: 3,
+      user_id: 5,
+      start_time: new Date('2026-11-02T15:30:00Z'),
+      end_time: new Date('2026-11-02T16:00:00Z'),
+      is_recurring: 0,
+      recurrence_pattern: null
+    }];
+    mockTables['FROM appointment_bookings'] = [{
+      start_time: new Date('2026-11-02T16:00:00Z'),
+      end_time: new Date('2026-11-02T17:00:00Z')
+    }];
+
+    const { slots } = await getOpenSlots(5, monday, monday);
+
+    expect(startTimes(slots)).toEqual(['2026-11-02T14:00:00.000Z']);
+  });
+
+  test('applies blocking and extra availability exceptions', async () => {
+    mockTables['FROM availability_exceptions'] = [
+      { id: 1, date: '2026-11-02', start_minute: 9 * 60, end_minute: 10 * 60, is_available: 0 },
+      { id: 2, date: '2026-11-03', start_minute: 13 * 60, end_minute: 15 * 60, is_available: 1, location: 'Home visit' }
+    ];
+
+    const { slots } = await getOpenSlots(5, monday, new Date(Date.UTC(2026, 10, 3)));
+
+    expect(startTimes(slots)).toEqual([
+      '2026-11-02T15:00:00.000Z',
+      '2026-11-02T16:00:00.000Z',
+      '2026-11-03T18:00:00.000Z',
+      '2026-11-03T19:00:00.000Z'
+    ]);
+  });
+
+  test('respects the minimum notice', async () => {
+    nowSpy.mockReturnValue(Date.parse('2026-11-01T15:30:00Z'));
+
+    const { slots } = await getOpenSlots(5, monday, monday);
+
+    expect(startTimes(slots)).toEqual(['2026-11-02T16:00:00.000Z']);
+  });
+});
@@ -5,6 +5,7 @@ const { Server } = require('socket.io');
 const mysql = require('mysql2/promise');
 const { MongoClient, ServerApiVersion } = require('mongodb');
 const axios = require('axios');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
@@ -31,6 +32,20 @@ let mysqlConnection = null;
 let mongoClient = null;
 let mongoDb = null;
 
+// One-to-one chats created before chat_members existed only name their
+// participants on the chat row. Give them membership rows; INSERT IGNORE keeps
+// this safe to run on every start and never restores members who left.
+const backfillChatMembers = async () => {
+  for (const column of ['participant1_id', 'participant2_id']) {
+    await mysqlConnection.execute(`
+      INSERT IGNORE INTO chat_members (chat_id, user_id, role, added_by, joined_at)
+      SELECT c.id, c.${column}, 'admin', c.created_by, c.created_at
+      FROM chats c
+      WHERE COALESCE(c.is_group, 0) = 0 AND c.${column} IS NOT NULL
+    `);
+  }
+};
+
 // Connect to MySQL (for user data)
 const connectMySQL = async () => {
   try {
@@ -52,6 +67,8 @@ const connectMySQL = async () => {
     await connection.ping();
     connection.release();
     
+    await backfillChatMembers();
+    
     console.log('✅ Chat Service: MySQL connected');
   } catch (error) {
     console.error('❌ Chat Service: MySQL connection failed:', error.message);
@@ -86,6 +103,9 @@ const connectCosmosDB = async () => {
     const messagesCollection = mongoDb.collection('chat_messages');
     await messagesCollection.createIndex({ chat_id: 1, created_at: -1 });
     await messagesCollection.createIndex({ sender_id: 1, created_at: -1 });
+    await messagesCollection.createIndex({ chat_id: 1, sender_id: 1, client_message_id: 1 });
+    await messagesCollection.createIndex({ message_id: 1 });
+    await mongoDb.collection('chat_read_cursors').createIndex({ chat_id: 1, user_id: 1 }, { unique: true });
     
     console.log('✅ Chat Service: Cosmos DB connected');
   } catch (error) {
@@ -94,6 +114,23 @@ const connectCosmosDB = async () => {
   }
 };
 
+// Validates an access token with the auth service; resolves to null when invalid
+const validateAccessToken = async (token) => {
+  const authResponse = await axios.post(`${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/validate`, {
+    token
+  });
+  
+  if (!authResponse.data.valid) {
+    return null;
+  }
+  
+  return {
+    userId: authResponse.data.userId,
+    email: authResponse.data.email,
+    role: authResponse.data.role
+  };
+};
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -104,20 +141,13 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    // Validate token with auth service
-    const authResponse = await axios.post(`${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/validate`, {
-      token
-    });
+    const user = await validateAccessToken(token);
     
-    if (!authResponse.data.valid) {
+    if (!user) {
       return res.status(401).json({ error: 'Invalid token' });
     }
     
-    req.user = {
-      userId: authResponse.data.userId,
-      email: authResponse.data.email,
-      role: authResponse.data.role
-    };
+    req.user = user;
     
     next();
   } catch (error) {
@@ -126,6 +156,19 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Service-to-service authentication using a shared key
+const requireInternalKey = (req, res, next) => {
+  const expected = process.env.INTERNAL_SERVICE_KEY;
+  const provided = req.headers['x-internal-key'];
+
+  if (!expected || !provided || provided.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))) {
+    return res.status(401).json({ error: 'Invalid internal service key' });
+  }
+
+  next();
+};
+
 // Error handling utilities
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -139,6 +182,372 @@ class ValidationError extends Error {
   }
 }
 
+// ===============================
+// CHAT MEMBERSHIP
+// ===============================
+
+// Every chat, one-to-one or group, lists its participants in chat_members.
+// participant1_id/participant2_id are still set for one-to-one chats.
+const MEMBER_ROLES = ['admin', 'member'];
+const MAX_GROUP_MEMBERS = 50;
+
+// Loads a chat the user is an active member of, with their role, or null
+const getChatMembership = async (chatId, userId) => {
+  const [chats] = await mysqlConnection.execute(`
+    SELECT c.*, cm.role as member_role, cm.joined_at as member_joined_at
+    FROM chats c
+    JOIN chat_members cm ON cm.chat_id = c.id AND cm.user_id = ? AND cm.left_at IS NULL
+    WHERE c.id = ? AND c.deleted_at IS NULL
+  `, [userId, chatId]);
+
+  return chats.length > 0 ? chats[0] : null;
+};
+
+const getChatMembers = async (chatId) => {
+  const [members] = await mysqlConnection.execute(`
+    SELECT cm.user_id, u.name, u.email, cm.role, cm.joined_at
+    FROM chat_members cm
+    JOIN users u ON cm.user_id = u.id
+    WHERE cm.chat_id = ? AND cm.left_at IS NULL
+    ORDER BY cm.joined_at ASC
+  `, [chatId]);
+
+  return members;
+};
+
+// Loads a group chat the user administers; throws for one-to-one chats
+const getAdministeredGroup = async (chatId, userId) => {
+  const chat = await getChatMembership(chatId, userId);
+  if (!chat) {
+    return null;
+  }
+  if (!chat.is_group) {
+    throw new ValidationError('Only group conversations have members to manage');
+  }
+  if (chat.member_role !== 'admin') {
+    const error = new ValidationError('Group admin access required');
+    error.statusCode = 403;
+    throw error;
+  }
+  return chat;
+};
+
+// Parses and checks a list of user IDs that should be added to a chat
+const validateMemberIds = async (userIds) => {
+  if (!Array.isArray(userIds)) {
+    throw new ValidationError('Member IDs must be an array');
+  }
+
+  const ids = [...new Set(userIds.map(id => parseInt(id)))];
+  if (ids.some(id => isNaN(id))) {
+    throw new ValidationError('Invalid member ID');
+  }
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const [users] = await mysqlConnection.execute(
+    `SELECT id FROM users WHERE id IN (${ids.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+    ids
+  );
+  if (users.length !== ids.length) {
+    throw new ValidationError('One or more members were not found');
+  }
+
+  return ids;
+};
+
+// Adds members, restoring anyone who previously left
+const addChatMembers = async (connection, chatId, userIds, role, addedBy) => {
+  for (const userId of userIds) {
+    await connection.execute(`
+      INSERT INTO chat_members (chat_id, user_id, role, added_by, joined_at)
+      VALUES (?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE role = VALUES(role), added_by = VALUES(added_by), joined_at = NOW(), left_at = NULL
+    `, [chatId, userId, role, addedBy]);
+  }
+};
+
+// ===============================
+// CHAT MESSAGES
+// ===============================
+
+const MAX_MESSAGE_LENGTH = 10000;
+const MESSAGE_TYPES = ['text', 'image', 'file'];
+
+// Senders can edit, or delete for everyone, only within these windows
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const MESSAGE_DELETE_WINDOW_MINUTES = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60;
+
+const validateMessageContent = (content) => {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new ValidationError('Message content is required');
+  }
+  if (content.trim().length > MAX_MESSAGE_LENGTH) {
+    throw new ValidationError(`Message content cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  return content.trim();
+};
+
+// Loads a message in a chat unless the user has deleted it for themselves
+const getChatMessage = async (chatId, messageId, userId) => {
+  return mongoDb.collection('chat_messages').findOne({
+    chat_id: chatId,
+    message_id: messageId,
+    deleted_for: { $ne: userId }
+  });
+};
+
+// Only the sender may change a message, and only within the given window
+const checkMessageChangeAllowed = (message, userId, windowMinutes, action) => {
+  if (message.sender_id !== userId) {
+    const error = new ValidationError(`Only the sender can ${action} this message`);
+    error.statusCode = 403;
+    throw error;
+  }
+  if (message.is_deleted) {
+    throw new ValidationError('Message has been deleted');
+  }
+  if (Date.now() - new Date(message.created_at).getTime() > windowMinutes * 60000) {
+    throw new ValidationError(`The ${windowMinutes} minute ${action} window for this message has passed`);
+  }
+};
+
+// Validates, stores and broadcasts a message from a chat member. Both the REST
+// endpoint and the socket send path go through here. A client-generated
+// client_message_id makes retries idempotent: resending returns the stored
+// message instead of creating a second one.
+const createChatMessage = async (chat, senderId, { content, message_type = 'text', client_message_id }) => {
+  const messageContent = validateMessageContent(content);
+  if (!MESSAGE_TYPES.includes(message_type)) {
+    throw new ValidationError(`Message type must be one of: ${MESSAGE_TYPES.join(', ')}`);
+  }
+  if (client_message_id !== undefined && client_message_id !== null &&
+      (typeof client_message_id !== 'string' || client_message_id.length === 0 || client_message_id.length > 100)) {
+    throw new ValidationError('Invalid client message ID');
+  }
+  
+  const messagesCollection = mongoDb.collection('chat_messages');
+  
+  // Group messages have no single recipient
+  let recipientId = null;
+  if (!chat.is_group) {
+    recipientId = chat.participant1_id === senderId ?
+      chat.participant2_id : chat.participant1_id;
+  }
+  
+  const now = new Date();
+  const message = {
+    message_id: uuidv4(),
+    chat_id: chat.id,
+    sender_id: senderId,
+    recipient_id: recipientId,
+    content: messageContent,
+    message_type,
+    is_read: false,
+    created_at: now,
+    updated_at: now
+  };
+  
+  if (client_message_id) {
+    // Only inserts when this client ID has not been stored, so a retry that
+    // races the original cannot create a second message
+    const duplicateFilter = { chat_id: chat.id, sender_id: senderId, client_message_id };
+    message.client_message_id = client_message_id;
+    const result = await messagesCollection.updateOne(
+      duplicateFilter,
+      { $setOnInsert: message },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) {
+      return { message: await messagesCollection.findOne(duplicateFilter), duplicate: true };
+    }
+  } else {
+    await messagesCollection.insertOne(message);
+  }
+  
+  // Update chat updated_at in MySQL
+  await mysqlConnection.execute(
+    'UPDATE chats SET updated_at = NOW() WHERE id = ?',
+    [chat.id]
+  );
+  
+  io.to(`chat_${chat.id}`).emit('receive_message', {
+    messageId: message.message_id,
+    clientMessageId: message.client_message_id || null,
+    chatId: chat.id,
+    senderId: senderId,
+    content: message.content,
+    messageType: message.message_type,
+    timestamp: message.created_at
+  });
+  
+  return { message, duplicate: false };
+};
+
+// ===============================
+// READ RECEIPTS
+// ===============================
+
+// Each member has one cursor per chat in chat_read_cursors. delivered_through
+// and read_through hold the created_at of the newest message acknowledged, so
+// every earlier message counts as delivered/read too; they only move forward.
+const RECEIPT_KINDS = ['delivered', 'read'];
+
+// Loads the user's cursors for the given chats, keyed by chat ID
+const getReadCursors = async (chatIds, userId) => {
+  const cursors = await mongoDb.collection('chat_read_cursors')
+    .find({ chat_id: { $in: chatIds }, user_id: userId })
+    .toArray();
+  return new Map(cursors.map(cursor => [cursor.chat_id, cursor]));
+};
+
+// Counts messages from others newer than the user's read cursor. Without one,
+// one-to-one chats fall back to the is_read flag set before cursors existed,
+// which group messages never carry; group members count from when they joined.
+const countUnreadMessages = async (chat, userId, cursor) => {
+  const filter = {
+    chat_id: chat.id,
+    sender_id: { $ne: userId },
+    deleted_for: { $ne: userId },
+    is_deleted: { $ne: true }
+  };
+  if (cursor && cursor.read_through) {
+    filter.created_at = { $gt: cursor.read_through };
+  } else if (chat.is_group) {
+    filter.created_at = { $gte: chat.member_joined_at };
+  } else {
+    filter.is_read = { $ne: true };
+  }
+  return mongoDb.collection('chat_messages').countDocuments(filter);
+};
+
+// Moves the user's delivered or read cursor up to a message (the latest one
+// when no ID is given) and tells the senders of newly covered messages
+const acknowledgeMessages = async (chat, userId, kind, messageId) => {
+  if (!RECEIPT_KINDS.includes(kind)) {
+    throw new ValidationError('Invalid receipt type');
+  }
+  
+  const messagesCollection = mongoDb.collection('chat_messages');
+  let target;
+  if (messageId) {
+    target = await getChatMessage(chat.id, messageId, userId);
+    if (!target) {
+      const error = new ValidationError('Message not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  } else {
+    target = await messagesCollection.findOne({ chat_id: chat.id }, { sort: { created_at: -1 } });
+    if (!target) {
+      return null;
+    }
+  }
+  
+  const now = new Date();
+  const through = target.created_at;
+  const update = {
+    $max: { [`${kind}_through`]: through },
+    $set: { [`${kind}_at`]: now }
+  };
+  // Reading a message implies it was delivered
+  if (kind === 'read') {
+    update.$max.delivered_through = through;
+  }
+  
+  const previous = await mongoDb.collection('chat_read_cursors').findOneAndUpdate(
+    { chat_id: chat.id, user_id: userId },
+    update,
+    { upsert: true, returnDocument: 'before' }
+  );
+  const previousThrough = previous ? previous[`${kind}_through`] : null;
+  
+  if (previousThrough && previousThrough >= through) {
+    return { messageId: target.message_id, through: previousThrough, advanced: false };
+  }
+  
+  const range = { $lte: through };
+  if (previousThrough) {
+    range.$gt = previousThrough;
+  }
+  
+  const senderIds = await messagesCollection.distinct('sender_id', {
+    chat_id: chat.id,
+    sender_id: { $ne: userId },
+    created_at: range
+  });
+  
+  // Keep the per-message flag of one-to-one chats in step with the cursor
+  if (kind === 'read') {
+    await messagesCollection.updateMany(
+      { chat_id: chat.id, recipient_id: userId, is_read: false, created_at: { $lte: through } },
+      { $set: { is_read: true, read_at: now } }
+    );
+  }
+  
+  senderIds.forEach(senderId => {
+    io.to(`user_${senderId}`).emit(`message_${kind}`, {
+      chatId: chat.id,
+      userId,
+      messageId: target.message_id,
+      through,
+      timestamp: now
+    });
+  });
+  
+  return { messageId: target.message_id, through, advanced: true };
+};
+
+// Works out each member's receipt state for messages the user sent
+const getMessageReceipts = async (chatId, userId, messages) => {
+  const memberIds = (await getChatMembers(chatId))
+    .map(member => member.user_id)
+    .filter(memberId => memberId !== userId);
+  
+  const cursors = await mongoDb.collection('chat_read_cursors')
+    .find({ chat_id: chatId, user_id: { $in: memberIds } })
+    .toArray();
+  const cursorsByUser = new Map(cursors.map(cursor => [cursor.user_id, cursor]));
+  
+  const receipts = new Map();
+  messages.forEach(message => {
+    if (message.sender_id !== userId) {
+      return;
+    }
+    
+    const createdAt = new Date(message.created_at).getTime();
+    const members = memberIds.map(memberId => {
+      const cursor = cursorsByUser.get(memberId);
+      let status = 'sent';
+      if (cursor && cursor.read_through && cursor.read_through.getTime() >= createdAt) {
+        status = 'read';
+      } else if (cursor && cursor.delivered_through && cursor.delivered_through.getTime() >= createdAt) {
+        status = 'delivered';
+      }
+      return { user_id: memberId, status };
+    });
+    
+    const readCount = members.filter(member => member.status === 'read').length;
+    const deliveredCount = members.filter(member => member.status !== 'sent').length;
+    let status = 'sent';
+    if (members.length > 0 && readCount === members.length) {
+      status = 'read';
+    } else if (members.length > 0 && deliveredCount === members.length) {
+      status = 'delivered';
+    }
+    
+    receipts.set(message.message_id, {
+      status,
+      delivered_count: deliveredCount,
+      read_count: readCount,
+      members
+    });
+  });
+  
+  return receipts;
+};
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -155,9 +564,11 @@ app.get('/conversations', authenticateToken, asyncHandler(async (req, res) => {
   
   // Get conversations from MySQL (chat metadata)
   const [conversations] = await mysqlConnection.execute(`
-    SELECT c.*, 
+    SELECT c.*, cm.role as member_role, cm.joined_at as member_joined_at,
            u1.name as participant1_name,
            u2.name as participant2_name,
+           (SELECT COUNT(*) FROM chat_members
+            WHERE chat_id = c.id AND left_at IS NULL) as member_count,
            (SELECT content FROM chat_messages 
             WHERE chat_id = c.id 
             ORDER BY created_at DESC LIMIT 1) as last_message,
@@ -165,24 +576,25 @@ app.get('/conversations', authenticateToken, asyncHandler(async (req, res) => {
             WHERE chat_id = c.id 
             ORDER BY created_at DESC LIMIT 1) as last_message_at
     FROM chats c
+    JOIN chat_members cm ON cm.chat_id = c.id AND cm.user_id = ? AND cm.left_at IS NULL
     LEFT JOIN users u1 ON c.participant1_id = u1.id
     LEFT JOIN users u2 ON c.participant2_id = u2.id
-    WHERE (c.participant1_id = ? OR c.participant2_id = ?)
-    AND c.deleted_at IS NULL
+    WHERE c.deleted_at IS NULL
     ORDER BY c.updated_at DESC
     LIMIT ? OFFSET ?
-  `, [req.user.userId, req.user.userId, parseInt(limit), parseInt(offset)]);
+  `, [req.user.userId, parseInt(limit), parseInt(offset)]);
   
   // Get unread message counts from Cosmos DB
+  const cursors = await getReadCursors(conversations.map(conv => conv.id), req.user.userId);
   const conversationsWithUnread = await Promise.all(
     conversations.map(async (conv) => {
       try {
-        const messagesCollection = mongoDb.collection('chat_messages');
-        const unreadCount = await messagesCollection.countDocuments({
-          chat_id: conv.id,
-          sender_id: { $ne: req.user.userId },
-          is_read: false
-        });
+        const unreadCount = await countUnreadMessages(conv, req.user.userId, cursors.get(conv.id));
+        
+        // Group chats are shown by name rather than by the other participant
+        if (conv.is_group) {
+          return { ...conv, unread_count: unreadCount, other_participant: null };
+        }
         
         return {
           ...conv,
@@ -211,43 +623,126 @@ app.get('/conversations', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// Get unread counts without loading messages, per chat and in total
+app.get('/conversations/unread-count', authenticateToken, asyncHandler(async (req, res) => {
+  const [chats] = await mysqlConnection.execute(`
+    SELECT c.id, c.is_group, cm.joined_at as member_joined_at
+    FROM chats c
+    JOIN chat_members cm ON cm.chat_id = c.id AND cm.user_id = ? AND cm.left_at IS NULL
+    WHERE c.deleted_at IS NULL
+  `, [req.user.userId]);
+  
+  const cursors = await getReadCursors(chats.map(chat => chat.id), req.user.userId);
+  
+  const counts = await Promise.all(chats.map(async (chat) => ({
+    chat_id: chat.id,
+    unread_count: await countUnreadMessages(chat, req.user.userId, cursors.get(chat.id))
+  })));
+  
+  res.json({
+    conversations: counts.filter(count => count.unread_count > 0),
+    total_unread: counts.reduce((sum, count) => sum + count.unread_count, 0)
+  });
+}));
+
+// Get the unread count of one chat
+app.get('/conversations/:chatId/unread-count', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await getChatMembership(req.params.chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  const cursor = (await getReadCursors([chat.id], req.user.userId)).get(chat.id);
+  
+  res.json({
+    chat_id: chat.id,
+    unread_count: await countUnreadMessages(chat, req.user.userId, cursor),
+    read_through: cursor && cursor.read_through ? cursor.read_through : null
+  });
+}));
+
+// Acknowledge messages as delivered or read, up to message_id (or the latest)
+RECEIPT_KINDS.forEach(kind => {
+  app.post(`/conversations/:chatId/${kind}`, authenticateToken, asyncHandler(async (req, res) => {
+    const chat = await getChatMembership(req.params.chatId, req.user.userId);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found or access denied' });
+    }
+    
+    const receipt = await acknowledgeMessages(chat, req.user.userId, kind, req.body.message_id);
+    
+    res.json({
+      message: `Messages marked as ${kind}`,
+      chat_id: chat.id,
+      message_id: receipt ? receipt.messageId : null,
+      through: receipt ? receipt.through : null
+    });
+  }));
+});
+
+// Get message receipts for each member (sender only)
+app.get('/conversations/:chatId/messages/:messageId/receipts', authenticateToken, asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  
+  const chat = await getChatMembership(chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  const message = await getChatMessage(chat.id, messageId, req.user.userId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  if (message.sender_id !== req.user.userId) {
+    return res.status(403).json({ error: 'Only the sender can view receipts' });
+  }
+  
+  const receipts = await getMessageReceipts(chat.id, req.user.userId, [message]);
+  
+  res.json({
+    messageId: message.message_id,
+    ...receipts.get(message.message_id)
+  });
+}));
+
 // Get messages for a specific chat
 app.get('/conversations/:chatId/messages', authenticateToken, asyncHandler(async (req, res) => {
   const { chatId } = req.params;
   const { page = 1, limit = 50 } = req.query;
   
-  // Verify user is participant in this chat
-  const [chats] = await mysqlConnection.execute(`
-    SELECT id FROM chats 
-    WHERE id = ? AND (participant1_id = ? OR participant2_id = ?) 
-    AND deleted_at IS NULL
-  `, [chatId, req.user.userId, req.user.userId]);
+  // Verify user is a member of this chat
+  const chat = await getChatMembership(chatId, req.user.userId);
   
-  if (chats.length === 0) {
+  if (!chat) {
     return res.status(404).json({ error: 'Chat not found or access denied' });
   }
   
   // Get messages from Cosmos DB
   const messagesCollection = mongoDb.collection('chat_messages');
   const messages = await messagesCollection
-    .find({ chat_id: parseInt(chatId) })
+    .find(
+      { chat_id: parseInt(chatId), deleted_for: { $ne: req.user.userId } },
+      { projection: { edit_history: 0, deleted_for: 0 } }
+    )
     .sort({ created_at: -1 })
     .limit(parseInt(limit))
     .skip((page - 1) * limit)
     .toArray();
   
-  // Mark messages as read
-  await messagesCollection.updateMany(
-    {
-      chat_id: parseInt(chatId),
-      sender_id: { $ne: req.user.userId },
-      is_read: false
-    },
-    { $set: { is_read: true, read_at: new Date() } }
-  );
+  // Reading is acknowledged explicitly; own messages carry their receipt state
+  const receipts = await getMessageReceipts(chat.id, req.user.userId, messages);
+  const messagesWithReceipts = messages.map(message => {
+    const receipt = receipts.get(message.message_id);
+    return receipt ? {
+      ...message,
+      status: receipt.status,
+      delivered_count: receipt.delivered_count,
+      read_count: receipt.read_count
+    } : message;
+  });
   
   res.json({
-    messages: messages.reverse(), // Return in chronological order
+    messages: messagesWithReceipts.reverse(), // Return in chronological order
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit)
@@ -258,70 +753,213 @@ app.get('/conversations/:chatId/messages', authenticateToken, asyncHandler(async
 // Send a message
 app.post('/conversations/:chatId/messages', authenticateToken, asyncHandler(async (req, res) => {
   const { chatId } = req.params;
-  const { content, message_type = 'text' } = req.body;
+  const { content, message_type, client_message_id } = req.body;
   
-  if (!content || content.trim().length === 0) {
-    throw new ValidationError('Message content is required');
+  // Verify user is a member of this chat
+  const chat = await getChatMembership(chatId, req.user.userId);
+  
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
   }
   
-  // Verify user is participant in this chat
-  const [chats] = await mysqlConnection.execute(`
-    SELECT id, participant1_id, participant2_id FROM chats 
-    WHERE id = ? AND (participant1_id = ? OR participant2_id = ?) 
-    AND deleted_at IS NULL
-  `, [chatId, req.user.userId, req.user.userId]);
+  const { message, duplicate } = await createChatMessage(chat, req.user.userId, {
+    content,
+    message_type,
+    client_message_id
+  });
+  
+  res.status(duplicate ? 200 : 201).json({
+    message: duplicate ? 'Message already sent' : 'Message sent successfully',
+    messageId: message.message_id,
+    clientMessageId: message.client_message_id || null,
+    timestamp: message.created_at,
+    data: message
+  });
+}));
+
+// Edit a message; the previous content is kept in its edit history
+app.put('/conversations/:chatId/messages/:messageId', authenticateToken, asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
   
-  if (chats.length === 0) {
+  const chat = await getChatMembership(chatId, req.user.userId);
+  if (!chat) {
     return res.status(404).json({ error: 'Chat not found or access denied' });
   }
   
-  const chat = chats[0];
-  const recipientId = chat.participant1_id === req.user.userId ? 
-    chat.participant2_id : chat.participant1_id;
+  const message = await getChatMessage(chat.id, messageId, req.user.userId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
   
-  // Create message in Cosmos DB
-  const messageId = uuidv4();
-  const message = {
-    message_id: messageId,
-    chat_id: parseInt(chatId),
-    sender_id: req.user.userId,
-    recipient_id: recipientId,
-    content: content.trim(),
-    message_type,
-    is_read: false,
-    created_at: new Date(),
-    updated_at: new Date()
-  };
+  checkMessageChangeAllowed(message, req.user.userId, MESSAGE_EDIT_WINDOW_MINUTES, 'edit');
   
-  const messagesCollection = mongoDb.collection('chat_messages');
-  await messagesCollection.insertOne(message);
+  const content = validateMessageContent(req.body.content);
+  if (content === message.content) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
   
-  // Update chat updated_at in MySQL
-  await mysqlConnection.execute(
-    'UPDATE chats SET updated_at = NOW() WHERE id = ?',
-    [chatId]
+  const editedAt = new Date();
+  await mongoDb.collection('chat_messages').updateOne(
+    { message_id: message.message_id },
+    {
+      $set: { content, edited_at: editedAt, updated_at: editedAt },
+      $push: { edit_history: { content: message.content, edited_at: editedAt } }
+    }
   );
   
-  // Emit message via Socket.IO (using your exact pattern)
-  io.to(`chat_${chatId}`).emit('receive_message', {
-    messageId: messageId,
-    chatId: parseInt(chatId),
-    senderId: req.user.userId,
-    content: content.trim(),
-    messageType: message_type,
-    timestamp: new Date()
+  io.to(`chat_${chat.id}`).emit('message_updated', {
+    messageId: message.message_id,
+    chatId: chat.id,
+    content,
+    editedAt
   });
   
-  res.status(201).json({
-    message: 'Message sent successfully',
-    messageId: messageId,
-    timestamp: new Date()
+  res.json({
+    message: 'Message updated successfully',
+    messageId: message.message_id,
+    editedAt
+  });
+}));
+
+// Get a message's edit history (oldest first)
+app.get('/conversations/:chatId/messages/:messageId/history', authenticateToken, asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  
+  const chat = await getChatMembership(chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  const message = await getChatMessage(chat.id, messageId, req.user.userId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  
+  res.json({
+    messageId: message.message_id,
+    content: message.content,
+    edited_at: message.edited_at || null,
+    is_deleted: !!message.is_deleted,
+    history: message.edit_history || []
   });
 }));
 
-// Create a new chat conversation
+// Delete a message. scope=me hides it for the caller only; scope=everyone
+// (sender only, within the delete window) replaces it with a tombstone.
+app.delete('/conversations/:chatId/messages/:messageId', authenticateToken, asyncHandler(async (req, res) => {
+  const { chatId, messageId } = req.params;
+  const { scope = 'me' } = req.query;
+  
+  if (!['me', 'everyone'].includes(scope)) {
+    throw new ValidationError('Scope must be me or everyone');
+  }
+  
+  const chat = await getChatMembership(chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  const message = await getChatMessage(chat.id, messageId, req.user.userId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  
+  const messagesCollection = mongoDb.collection('chat_messages');
+  const deletedAt = new Date();
+  
+  if (scope === 'me') {
+    await messagesCollection.updateOne(
+      { message_id: message.message_id },
+      { $addToSet: { deleted_for: req.user.userId } }
+    );
+    
+    // Only the caller's own devices need to drop the message
+    io.to(`user_${req.user.userId}`).emit('message_deleted', {
+      messageId: message.message_id,
+      chatId: chat.id,
+      scope,
+      deletedAt
+    });
+  } else {
+    checkMessageChangeAllowed(message, req.user.userId, MESSAGE_DELETE_WINDOW_MINUTES, 'delete');
+    
+    await messagesCollection.updateOne(
+      { message_id: message.message_id },
+      {
+        $set: {
+          content: null,
+          is_deleted: true,
+          deleted_at: deletedAt,
+          deleted_by: req.user.userId,
+          edit_history: [],
+          updated_at: deletedAt
+        }
+      }
+    );
+    
+    io.to(`chat_${chat.id}`).emit('message_deleted', {
+      messageId: message.message_id,
+      chatId: chat.id,
+      scope,
+      deletedAt
+    });
+  }
+  
+  res.json({
+    message: 'Message deleted successfully',
+    messageId: message.message_id,
+    scope
+  });
+}));
+
+// Create a new chat conversation: one-to-one with participant_id, or a group
+// with is_group, a name and member_ids
 app.post('/conversations', authenticateToken, asyncHandler(async (req, res) => {
-  const { participant_id } = req.body;
+  const { participant_id, is_group = false, name, avatar_url, member_ids = [] } = req.body;
+  
+  if (is_group) {
+    if (!name || name.trim().length === 0) {
+      throw new ValidationError('Group name is required');
+    }
+    
+    const memberIds = (await validateMemberIds(member_ids)).filter(id => id !== req.user.userId);
+    if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+      throw new ValidationError(`Groups can have at most ${MAX_GROUP_MEMBERS} members`);
+    }
+    
+    const connection = await mysqlConnection.getConnection();
+    let chatId;
+    
+    try {
+      await connection.beginTransaction();
+      
+      const [result] = await connection.execute(`
+        INSERT INTO chats (is_group, name, avatar_url, created_by, created_at, updated_at)
+        VALUES (TRUE, ?, ?, ?, NOW(), NOW())
+      `, [name.trim(), avatar_url || null, req.user.userId]);
+      chatId = result.insertId;
+      
+      // The creator administers the group
+      await addChatMembers(connection, chatId, [req.user.userId], 'admin', req.user.userId);
+      await addChatMembers(connection, chatId, memberIds, 'member', req.user.userId);
+      
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    
+    memberIds.forEach(memberId => {
+      io.to(`user_${memberId}`).emit('chat_member_added', { chatId, userId: memberId, addedBy: req.user.userId });
+    });
+    
+    return res.status(201).json({
+      message: 'Group created successfully',
+      chatId: chatId
+    });
+  }
   
   if (!participant_id) {
     throw new ValidationError('Participant ID is required');
@@ -346,7 +984,7 @@ app.post('/conversations', authenticateToken, asyncHandler(async (req, res) => {
     SELECT id FROM chats 
     WHERE ((participant1_id = ? AND participant2_id = ?) 
            OR (participant1_id = ? AND participant2_id = ?))
-    AND deleted_at IS NULL
+    AND is_group = FALSE AND deleted_at IS NULL
   `, [req.user.userId, participant_id, participant_id, req.user.userId]);
   
   if (existingChats.length > 0) {
@@ -357,12 +995,28 @@ app.post('/conversations', authenticateToken, asyncHandler(async (req, res) => {
   }
   
   // Create new chat
-  const [result] = await mysqlConnection.execute(`
-    INSERT INTO chats (participant1_id, participant2_id, created_at, updated_at)
-    VALUES (?, ?, NOW(), NOW())
-  `, [req.user.userId, participant_id]);
+  const connection = await mysqlConnection.getConnection();
+  let chatId;
   
-  const chatId = result.insertId;
+  try {
+    await connection.beginTransaction();
+    
+    const [result] = await connection.execute(`
+      INSERT INTO chats (participant1_id, participant2_id, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, NOW(), NOW())
+    `, [req.user.userId, participant_id, req.user.userId]);
+    chatId = result.insertId;
+    
+    // Both sides of a one-to-one chat are equal
+    await addChatMembers(connection, chatId, [req.user.userId, participants[0].id], 'admin', req.user.userId);
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
   
   res.status(201).json({
     message: 'Chat created successfully',
@@ -370,51 +1024,375 @@ app.post('/conversations', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// Get a conversation with its members
+app.get('/conversations/:chatId', authenticateToken, asyncHandler(async (req, res) => {
+  const chat = await getChatMembership(req.params.chatId, req.user.userId);
+  
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  const members = await getChatMembers(chat.id);
+  
+  res.json({
+    conversation: {
+      ...chat,
+      members: members,
+      member_count: members.length
+    }
+  });
+}));
+
+// Update a group's name or avatar (admins only)
+app.put('/conversations/:chatId', authenticateToken, asyncHandler(async (req, res) => {
+  const { name, avatar_url } = req.body;
+  
+  const chat = await getAdministeredGroup(req.params.chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  const updateFields = [];
+  const updateValues = [];
+  
+  if (name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      throw new ValidationError('Group name cannot be empty');
+    }
+    updateFields.push('name = ?');
+    updateValues.push(name.trim());
+  }
+  
+  if (avatar_url !== undefined) {
+    updateFields.push('avatar_url = ?');
+    updateValues.push(avatar_url || null);
+  }
+  
+  if (updateFields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  
+  updateFields.push('updated_at = NOW()');
+  updateValues.push(chat.id);
+  
+  await mysqlConnection.execute(
+    `UPDATE chats SET ${updateFields.join(', ')} WHERE id = ?`,
+    updateValues
+  );
+  
+  io.to(`chat_${chat.id}`).emit('chat_updated', {
+    chatId: chat.id,
+    name: name !== undefined ? name.trim() : chat.name,
+    avatarUrl: avatar_url !== undefined ? (avatar_url || null) : chat.avatar_url,
+    updatedBy: req.user.userId
+  });
+  
+  res.json({
+    message: 'Group updated successfully',
+    chatId: chat.id
+  });
+}));
+
+// Add members to a group (admins only)
+app.post('/conversations/:chatId/members', authenticateToken, asyncHandler(async (req, res) => {
+  const { user_ids, role = 'member' } = req.body;
+  
+  const chat = await getAdministeredGroup(req.params.chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+  
+  const current = await getChatMembers(chat.id);
+  const memberIds = (await validateMemberIds(user_ids || []))
+    .filter(id => !current.some(member => member.user_id === id));
+  
+  if (memberIds.length === 0) {
+    throw new ValidationError('No new members to add');
+  }
+  if (current.length + memberIds.length > MAX_GROUP_MEMBERS) {
+    throw new ValidationError(`Groups can have at most ${MAX_GROUP_MEMBERS} members`);
+  }
+  
+  await addChatMembers(mysqlConnection, chat.id, memberIds, role, req.user.userId);
+  
+  memberIds.forEach(memberId => {
+    const payload = { chatId: chat.id, userId: memberId, role, addedBy: req.user.userId };
+    io.to(`chat_${chat.id}`).emit('chat_member_added', payload);
+    io.to(`user_${memberId}`).emit('chat_member_added', payload);
+  });
+  
+  res.status(201).json({
+    message: 'Members added successfully',
+    chatId: chat.id,
+    addedUserIds: memberIds
+  });
+}));
+
+// Change a member's role (admins only)
+app.put('/conversations/:chatId/members/:userId', authenticateToken, asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  
+  const chat = await getAdministeredGroup(req.params.chatId, req.user.userId);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+  
+  const members = await getChatMembers(chat.id);
+  const target = members.find(member => member.user_id === parseInt(req.params.userId));
+  if (!target) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  
+  // A group always keeps at least one admin
+  if (target.role === 'admin' && role !== 'admin' &&
+      members.filter(member => member.role === 'admin').length === 1) {
+    throw new ValidationError('A group needs at least one admin');
+  }
+  
+  await mysqlConnection.execute(
+    'UPDATE chat_members SET role = ? WHERE chat_id = ? AND user_id = ? AND left_at IS NULL',
+    [role, chat.id, target.user_id]
+  );
+  
+  io.to(`chat_${chat.id}`).emit('chat_member_updated', { chatId: chat.id, userId: target.user_id, role });
+  
+  res.json({
+    message: 'Member updated successfully',
+    chatId: chat.id,
+    userId: target.user_id,
+    role: role
+  });
+}));
+
+// Remove a member. Admins may remove anyone; members may leave themselves.
+app.delete('/conversations/:chatId/members/:userId', authenticateToken, asyncHandler(async (req, res) => {
+  const targetId = parseInt(req.params.userId);
+  const isSelf = targetId === req.user.userId;
+  
+  const chat = isSelf ?
+    await getChatMembership(req.params.chatId, req.user.userId) :
+    await getAdministeredGroup(req.params.chatId, req.user.userId);
+  
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found or access denied' });
+  }
+  if (!chat.is_group) {
+    throw new ValidationError('Only group conversations have members to manage');
+  }
+  
+  const members = await getChatMembers(chat.id);
+  const target = members.find(member => member.user_id === targetId);
+  if (!target) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  
+  const connection = await mysqlConnection.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute(
+      'UPDATE chat_members SET left_at = NOW() WHERE chat_id = ? AND user_id = ? AND left_at IS NULL',
+      [chat.id, targetId]
+    );
+    
+    // When the last admin leaves, the longest-standing member takes over
+    const remaining = members.filter(member => member.user_id !== targetId);
+    if (target.role === 'admin' && remaining.length > 0 && !remaining.some(member => member.role === 'admin')) {
+      await connection.execute(
+        "UPDATE chat_members SET role = 'admin' WHERE chat_id = ? AND user_id = ?",
+        [chat.id, remaining[0].user_id]
+      );
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  // Removed members stop receiving the group's messages immediately
+  const payload = { chatId: chat.id, userId: targetId, removedBy: req.user.userId };
+  io.to(`chat_${chat.id}`).emit('chat_member_removed', payload);
+  io.to(`user_${targetId}`).emit('chat_member_removed', payload);
+  io.in(`user_${targetId}`).socketsLeave(`chat_${chat.id}`);
+  
+  res.json({
+    message: isSelf ? 'Left group successfully' : 'Member removed successfully',
+    chatId: chat.id,
+    userId: targetId
+  });
+}));
+
+// Push a real-time notification to a user's room (used by other services)
+app.post('/internal/notifications', requireInternalKey, asyncHandler(async (req, res) => {
+  const { user_id, event, payload } = req.body;
+
+  if (!user_id || !event) {
+    throw new ValidationError('User ID and event name are required');
+  }
+
+  io.to(`user_${user_id}`).emit(event, payload || {});
+
+  res.json({ message: 'Notification delivered' });
+}));
+
+// Socket.IO authentication: the access token is sent in the handshake
+// (auth.token, or an Authorization header) and the socket is bound to its user
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+  
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+  
+  try {
+    const user = await validateAccessToken(token);
+    if (!user) {
+      return next(new Error('Invalid token'));
+    }
+    
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('Socket token validation error:', error.message);
+    next(new Error('Token verification failed'));
+  }
+};
+
+io.use(authenticateSocket);
+
+// Calls a socket acknowledgement callback when the client supplied one
+const acknowledge = (ack, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+};
+
 // Socket.IO connection handling (using your exact pattern)
 io.on('connection', (socket) => {
-  console.log('User connected to chat service:', socket.id);
+  const { userId } = socket.data.user;
+  console.log(`User ${userId} connected to chat service:`, socket.id);
+  
+  // Every socket receives its own user's notifications
+  socket.join(`user_${userId}`);
   
-  // Join user to their rooms
-  socket.on('join_user_room', (userId) => {
+  // Kept for older clients; a socket can only ever join its own user room
+  socket.on('join_user_room', () => {
     socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined their room`);
   });
   
-  // Join chat room
-  socket.on('join_chat', (chatId) => {
-    socket.join(`chat_${chatId}`);
-    console.log(`User joined chat: ${chatId}`);
+  // Join chat room (members only)
+  socket.on('join_chat', async (chatId, ack) => {
+    try {
+      const chat = await getChatMembership(chatId, userId);
+      if (!chat) {
+        socket.emit('error', { message: 'Chat not found or access denied' });
+        return acknowledge(ack, { ok: false, error: 'Chat not found or access denied' });
+      }
+      
+      socket.join(`chat_${chat.id}`);
+      console.log(`User ${userId} joined chat: ${chat.id}`);
+      acknowledge(ack, { ok: true, chatId: chat.id });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to join chat' });
+      acknowledge(ack, { ok: false, error: 'Failed to join chat' });
+    }
+  });
+  
+  socket.on('leave_chat', (chatId) => {
+    socket.leave(`chat_${parseInt(chatId)}`);
   });
   
-  // Handle chat messages (using your exact pattern)
-  socket.on('send_message', async (data) => {
+  // Handle chat messages; the sender is always the authenticated user. The
+  // message is stored like a REST send and the ack carries the stored message
+  // along with the client's dedupe id (older clients sent it as messageId).
+  socket.on('send_message', async (data, ack) => {
+    const payload = data || {};
+    const clientMessageId = payload.clientMessageId || payload.messageId;
+    
     try {
-      // Emit to all users in the chat room
-      io.to(`chat_${data.chatId}`).emit('receive_message', {
-        messageId: data.messageId,
-        chatId: data.chatId,
-        senderId: data.senderId,
-        content: data.content,
-        timestamp: new Date()
+      const chat = await getChatMembership(payload.chatId, userId);
+      if (!chat) {
+        socket.emit('error', { message: 'Chat not found or access denied' });
+        return acknowledge(ack, { ok: false, error: 'Chat not found or access denied', clientMessageId });
+      }
+      
+      const { message, duplicate } = await createChatMessage(chat, userId, {
+        content: payload.content,
+        message_type: payload.messageType,
+        client_message_id: clientMessageId
       });
+      
+      acknowledge(ack, { ok: true, duplicate, clientMessageId, message });
     } catch (error) {
-      socket.emit('error', { message: 'Failed to send message' });
+      const errorMessage = error instanceof ValidationError ? error.message : 'Failed to send message';
+      if (!(error instanceof ValidationError)) {
+        console.error('Socket send_message error:', error);
+      }
+      socket.emit('error', { message: errorMessage });
+      acknowledge(ack, { ok: false, error: errorMessage, clientMessageId });
     }
   });
   
-  // Handle typing indicators (using your exact pattern)
-  socket.on('typing_start', (data) => {
-    socket.to(`chat_${data.chatId}`).emit('user_typing', {
-      userId: data.userId,
-      isTyping: true
+  // Delivered/read acknowledgements: { chatId, messageId } where messageId
+  // is the newest message seen (defaults to the latest in the chat)
+  RECEIPT_KINDS.forEach(kind => {
+    socket.on(`mark_${kind}`, async (data, ack) => {
+      const payload = data || {};
+      try {
+        const chat = await getChatMembership(payload.chatId, userId);
+        if (!chat) {
+          return acknowledge(ack, { ok: false, error: 'Chat not found or access denied' });
+        }
+        
+        const receipt = await acknowledgeMessages(chat, userId, kind, payload.messageId);
+        acknowledge(ack, {
+          ok: true,
+          chatId: chat.id,
+          messageId: receipt ? receipt.messageId : null,
+          through: receipt ? receipt.through : null
+        });
+      } catch (error) {
+        const errorMessage = error instanceof ValidationError ? error.message : `Failed to mark messages as ${kind}`;
+        if (!(error instanceof ValidationError)) {
+          console.error(`Socket mark_${kind} error:`, error);
+        }
+        acknowledge(ack, { ok: false, error: errorMessage });
+      }
     });
   });
   
+  // Handle typing indicators for chats this socket has joined
+  socket.on('typing_start', (data) => {
+    const room = `chat_${parseInt(data && data.chatId)}`;
+    if (socket.rooms.has(room)) {
+      socket.to(room).emit('user_typing', {
+        userId: userId,
+        isTyping: true
+      });
+    }
+  });
+  
   socket.on('typing_stop', (data) => {
-    socket.to(`chat_${data.chatId}`).emit('user_typing', {
-      userId: data.userId,
-      isTyping: false
-    });
+    const room = `chat_${parseInt(data && data.chatId)}`;
+    if (socket.rooms.has(room)) {
+      socket.to(room).emit('user_typing', {
+        userId: userId,
+        isTyping: false
+      });
+    }
   });
   
   socket.on('disconnect', () => {
@@ -461,4 +1439,18 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Only start when run directly; the tests require this module for its socket handlers
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  io,
+  authenticateSocket,
+  connectMySQL,
+  connectCosmosDB,
+  getReadCursors,
+  countUnreadMessages,
+  acknowledgeMessages
+};
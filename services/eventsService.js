@@ -2,6 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const mysql = require('mysql2/promise');
 const axios = require('axios');
+const crypto = require('crypto');
+const multer = require('multer');
+const nodemailer = require('nodemailer');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
@@ -90,6 +93,16 @@ class ValidationError extends Error {
   }
 }
 
+// Calendar file uploads are parsed in memory
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCalendarFile = file.mimetype === 'text/calendar' || /\.ics$/i.test(file.originalname);
+    cb(isCalendarFile ? null : new ValidationError('Only .ics calendar files are supported'), isCalendarFile);
+  }
+});
+
 // Utility functions
 const parseDateTime = (dateTimeString) => {
   const dateTime = new Date(dateTimeString);
@@ -99,6 +112,20 @@ const parseDateTime = (dateTimeString) => {
   return dateTime;
 };
 
+// Flags may arrive as JSON booleans or as strings from form and multipart clients
+const parseBooleanFlag = (value, fieldName, defaultValue = false) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (value === true || value === 'true' || value === 1 || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === 0 || value === '0') {
+    return false;
+  }
+  throw new ValidationError(`${fieldName} must be true or false`);
+};
+
 const validateEventType = (eventType) => {
   const validTypes = [
     'appointment', 'therapy', 'medication', 'social', 'support_group', 
@@ -112,474 +139,5276 @@ const validateEventType = (eventType) => {
   return eventType;
 };
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'events-service',
-    timestamp: new Date()
+// Ensures a child referenced by an event belongs to the user and is not archived
+const validateChildId = async (childId, userId) => {
+  if (childId === undefined || childId === null || childId === '') {
+    return null;
+  }
+
+  const parsedChildId = parseInt(childId);
+  if (isNaN(parsedChildId)) {
+    throw new ValidationError('Invalid child ID');
+  }
+
+  const [children] = await mysqlConnection.execute(`
+    SELECT id FROM children
+    WHERE id = ? AND user_id = ? AND archived_at IS NULL AND deleted_at IS NULL
+  `, [parsedChildId, userId]);
+
+  // Same status as the user and tracking services use for a missing child
+  if (children.length === 0) {
+    const error = new ValidationError('Child not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return parsedChildId;
+};
+
+// ===============================
+// TIME ZONE HELPERS
+// ===============================
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+// Intl formatters are expensive to build, so one is cached per zone
+const zoneFormatters = new Map();
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const validateTimeZone = (timeZone) => {
+  if (!timeZone || !isValidTimeZone(timeZone)) {
+    throw new ValidationError('Invalid time zone');
+  }
+  return timeZone;
+};
+
+// Wall-clock components of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const values = {};
+  zoneFormatters.get(timeZone).formatToParts(date).forEach(part => {
+    values[part.type] = parseInt(part.value);
+  });
+
+  return {
+    year: values.year,
+    month: values.month - 1,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second
+  };
+};
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Converts a wall-clock time in a time zone to the matching UTC instant. Ambiguous
+// times (DST fall-back) resolve to the first instant; skipped times (spring-forward)
+// use the offset from before the transition, as RFC 5545 specifies.
+const zonedTimeToUtc = (year, month, day, hour, minute, second, timeZone) => {
+  const wallClockAsUtc = Date.UTC(year, month, day, hour, minute, second);
+  const firstGuess = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+  const firstOffset = getTimeZoneOffsetMs(new Date(firstGuess), timeZone);
+
+  if (wallClockAsUtc - firstOffset === firstGuess) {
+    return new Date(firstGuess);
+  }
+
+  const secondGuess = wallClockAsUtc - firstOffset;
+  if (getTimeZoneOffsetMs(new Date(secondGuess), timeZone) === firstOffset) {
+    return new Date(secondGuess);
+  }
+
+  return new Date(firstGuess);
+};
+
+// Wall-clock time represented as a Date whose UTC fields hold the local values
+const toWallClock = (date, timeZone) => new Date(date.getTime() + getTimeZoneOffsetMs(date, timeZone));
+
+const fromWallClock = (wallClock, timeZone) => zonedTimeToUtc(
+  wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate(),
+  wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds(),
+  timeZone
+);
+
+// Start of the local day (offset by a number of days) containing an instant
+const startOfZonedDay = (date, timeZone, dayOffset = 0) => {
+  const parts = getZonedParts(date, timeZone);
+  return zonedTimeToUtc(parts.year, parts.month, parts.day + dayOffset, 0, 0, 0, timeZone);
+};
+
+// 'YYYY-MM-DD' of an instant in a time zone
+const formatDateKey = (date, timeZone) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  return `${parts.year}-${String(parts.month + 1).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+};
+
+// Recurrences expand in the event's own zone, falling back to its owner's
+const getEventTimeZone = (event) => event.time_zone || event.user_time_zone || DEFAULT_TIME_ZONE;
+
+const getUserTimeZone = async (userId) => {
+  const [users] = await mysqlConnection.execute(
+    'SELECT time_zone FROM users WHERE id = ?',
+    [userId]
+  );
+  const timeZone = users.length > 0 ? users[0].time_zone : null;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+// ===============================
+// RECURRENCE (RFC 5545 RRULE SUBSET)
+// ===============================
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead open-ended series are expanded when a listing has no end date
+const RECURRENCE_HORIZON_DAYS = 365;
+const MAX_RECURRENCE_PERIODS = 20000;
+// Caps occurrences returned for one requested range, not for the whole series
+const MAX_OCCURRENCES_PER_EVENT = 1000;
+
+// Free-form values stored before RRULE support, still accepted on input
+const RECURRENCE_SHORTHANDS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY'
+};
+
+// UNTIL accepts the RFC 5545 basic format (20250131 or 20250131T235959Z) or ISO 8601
+const parseRecurrenceUntil = (value) => {
+  const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/i);
+  const until = basic ?
+    new Date(Date.UTC(
+      parseInt(basic[1]), parseInt(basic[2]) - 1, parseInt(basic[3]),
+      basic[4] ? parseInt(basic[4]) : 23,
+      basic[5] ? parseInt(basic[5]) : 59,
+      basic[6] ? parseInt(basic[6]) : 59
+    )) :
+    new Date(value);
+
+  if (isNaN(until.getTime())) {
+    throw new ValidationError('Invalid UNTIL date in recurrence pattern');
+  }
+  return until;
+};
+
+const parseRecurrenceRule = (pattern) => {
+  if (!pattern || typeof pattern !== 'string') {
+    throw new ValidationError('Recurrence pattern is required for recurring events');
+  }
+
+  const trimmed = pattern.trim();
+  const source = RECURRENCE_SHORTHANDS[trimmed.toLowerCase()] || trimmed.replace(/^RRULE:/i, '');
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+  source.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, value] = part.split('=');
+    if (!value) {
+      throw new ValidationError(`Invalid recurrence rule part: ${part}`);
+    }
+
+    switch (rawKey.trim().toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+          throw new ValidationError('Recurrence frequency must be DAILY, WEEKLY or MONTHLY');
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value);
+        if (isNaN(rule.interval) || rule.interval < 1) {
+          throw new ValidationError('Recurrence interval must be a positive number');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(day => {
+          const match = day.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new ValidationError(`Invalid BYDAY value: ${day}`);
+          }
+          const nth = match[1] ? parseInt(match[1]) : null;
+          if (nth !== null && (nth === 0 || Math.abs(nth) > 5)) {
+            throw new ValidationError(`Invalid BYDAY value: ${day}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => {
+          const monthDay = parseInt(day);
+          if (isNaN(monthDay) || monthDay === 0 || Math.abs(monthDay) > 31) {
+            throw new ValidationError(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return monthDay;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value);
+        if (isNaN(rule.count) || rule.count < 1) {
+          throw new ValidationError('Recurrence count must be a positive number');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseRecurrenceUntil(value);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday for expansion
+        break;
+      default:
+        throw new ValidationError(`Unsupported recurrence rule part: ${rawKey}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new ValidationError('Recurrence pattern must include FREQ');
+  }
+
+  if (rule.count && rule.until) {
+    throw new ValidationError('Recurrence pattern cannot include both COUNT and UNTIL');
+  }
+
+  if (rule.freq !== 'MONTHLY' && (rule.byMonthDay.length > 0 || rule.byDay.some(day => day.nth !== null))) {
+    throw new ValidationError('BYMONTHDAY and numbered BYDAY values are only supported for MONTHLY recurrence');
+  }
+
+  return rule;
+};
+
+// Returns null for stored patterns that cannot be parsed so listings fall back to the single row
+const tryParseRecurrenceRule = (pattern) => {
+  try {
+    return parseRecurrenceRule(pattern);
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatRecurrenceUntil = (date) => `${date.toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+
+const serializeRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.nth || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${formatRecurrenceUntil(rule.until)}`);
+  }
+
+  return parts.join(';');
+};
+
+const normalizeRecurrencePattern = (pattern) => serializeRecurrenceRule(parseRecurrenceRule(pattern));
+
+const isRecurringEvent = (event) => !!event.is_recurring && !!tryParseRecurrenceRule(event.recurrence_pattern);
+
+// Candidate start times for one period (day, week or month) of a rule, in order
+const getPeriodCandidates = (rule, seriesStart, periodIndex) => {
+  const dayStart = Date.UTC(seriesStart.getUTCFullYear(), seriesStart.getUTCMonth(), seriesStart.getUTCDate());
+  const timeOfDay = seriesStart.getTime() - dayStart;
+
+  if (rule.freq === 'DAILY') {
+    const day = new Date(dayStart + periodIndex * rule.interval * DAY_MS);
+    const matches = rule.byDay.length === 0 || rule.byDay.some(d => d.weekday === day.getUTCDay());
+    return {
+      periodStart: day,
+      candidates: matches ? [new Date(day.getTime() + timeOfDay)] : []
+    };
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const mondayOffset = (seriesStart.getUTCDay() + 6) % 7;
+    const weekStart = new Date(dayStart + (periodIndex * rule.interval * 7 - mondayOffset) * DAY_MS);
+    const weekdays = rule.byDay.length > 0 ?
+      [...new Set(rule.byDay.map(d => d.weekday))] :
+      [seriesStart.getUTCDay()];
+
+    return {
+      periodStart: weekStart,
+      candidates: weekdays
+        .map(weekday => (weekday + 6) % 7)
+        .sort((a, b) => a - b)
+        .map(offset => new Date(weekStart.getTime() + offset * DAY_MS + timeOfDay))
+    };
+  }
+
+  // MONTHLY
+  const monthIndex = seriesStart.getUTCMonth() + periodIndex * rule.interval;
+  const monthStart = new Date(Date.UTC(seriesStart.getUTCFullYear(), monthIndex, 1));
+  const year = monthStart.getUTCFullYear();
+  const month = monthStart.getUTCMonth();
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  let days;
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(d => (d > 0 ? d : daysInMonth + d + 1));
+  } else if (rule.byDay.length === 0) {
+    days = [seriesStart.getUTCDate()];
+  }
+
+  if (rule.byDay.length > 0) {
+    const byDayDays = rule.byDay.flatMap(({ weekday, nth }) => {
+      const firstOffset = (weekday - monthStart.getUTCDay() + 7) % 7;
+      const matching = [];
+      for (let d = 1 + firstOffset; d <= daysInMonth; d += 7) {
+        matching.push(d);
+      }
+      if (nth === null) {
+        return matching;
+      }
+      const picked = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+      return picked ? [picked] : [];
+    });
+    // BYDAY narrows BYMONTHDAY when both are present
+    days = days ? days.filter(d => byDayDays.includes(d)) : byDayDays;
+  }
+
+  return {
+    periodStart: monthStart,
+    candidates: [...new Set(days)]
+      .filter(d => d >= 1 && d <= daysInMonth)
+      .sort((a, b) => a - b)
+      .map(d => new Date(Date.UTC(year, month, d) + timeOfDay))
+  };
+};
+
+// First period worth expanding for a range. Without COUNT, earlier periods
+// cannot affect the result, so old series skip straight to the range instead
+// of walking from their first occurrence. One period of slack covers
+// wall-clock offsets and weeks that straddle the range start.
+const getFirstPeriodIndex = (rule, wallSeriesStart, wallRangeStart) => {
+  if (rule.count || wallRangeStart <= wallSeriesStart) {
+    return 0;
+  }
+
+  let elapsedPeriods;
+  if (rule.freq === 'MONTHLY') {
+    const months = (wallRangeStart.getUTCFullYear() - wallSeriesStart.getUTCFullYear()) * 12 +
+      wallRangeStart.getUTCMonth() - wallSeriesStart.getUTCMonth();
+    elapsedPeriods = months / rule.interval;
+  } else {
+    const periodDays = rule.freq === 'WEEKLY' ? rule.interval * 7 : rule.interval;
+    elapsedPeriods = (wallRangeStart - wallSeriesStart) / (periodDays * DAY_MS);
+  }
+
+  return Math.max(0, Math.floor(elapsedPeriods) - 1);
+};
+
+const buildOccurrence = (event, originalStart, start, end, overrides = {}) => ({
+  ...event,
+  ...overrides,
+  start_time: start,
+  end_time: end,
+  series_start_time: event.start_time,
+  original_start_time: originalStart,
+  occurrence_id: `${event.id}_${originalStart.getTime()}`,
+  is_occurrence: true,
+  is_exception: Object.keys(overrides).length > 0 || start.getTime() !== originalStart.getTime()
+});
+
+// Expands a recurring event into occurrences starting within [rangeStart, rangeEnd],
+// applying skipped and modified occurrences from event_exceptions. Rules are applied
+// to the wall clock of the event's time zone, so a 9:00 session stays at 9:00 local
+// time across DST changes.
+const expandRecurringEvent = (event, rangeStart, rangeEnd, exceptions = []) => {
+  const rule = tryParseRecurrenceRule(event.recurrence_pattern);
+  if (!rule) {
+    return [];
+  }
+
+  const timeZone = getEventTimeZone(event);
+  const seriesStart = new Date(event.start_time);
+  const wallSeriesStart = toWallClock(seriesStart, timeZone);
+  const durationMs = event.end_time ? new Date(event.end_time) - seriesStart : null;
+  const exceptionsByStart = new Map(
+    exceptions.map(exception => [new Date(exception.original_start).getTime(), exception])
+  );
+
+  const occurrences = [];
+  let generated = 0;
+  const firstPeriod = getFirstPeriodIndex(rule, wallSeriesStart, toWallClock(new Date(rangeStart), timeZone));
+
+  expansion:
+  for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_PERIODS; period++) {
+    const { periodStart, candidates } = getPeriodCandidates(rule, wallSeriesStart, period);
+
+    // Wall-clock times are within a day of UTC
+    const periodLowerBound = new Date(periodStart.getTime() - DAY_MS);
+    if (periodLowerBound > rangeEnd || (rule.until && periodLowerBound > rule.until)) {
+      break;
+    }
+
+    for (const wallStart of candidates) {
+      const start = fromWallClock(wallStart, timeZone);
+      if (start < seriesStart) {
+        continue;
+      }
+      if (start > rangeEnd || (rule.until && start > rule.until)) {
+        break expansion;
+      }
+
+      generated++;
+      if (rule.count && generated > rule.count) {
+        break expansion;
+      }
+
+      if (start >= rangeStart && !exceptionsByStart.has(start.getTime())) {
+        const end = durationMs !== null ? new Date(start.getTime() + durationMs) : null;
+        occurrences.push(buildOccurrence(event, start, start, end));
+        if (occurrences.length >= MAX_OCCURRENCES_PER_EVENT) {
+          break expansion;
+        }
+      }
+    }
+  }
+
+  // Modified occurrences appear wherever they were moved to
+  exceptions
+    .filter(exception => exception.exception_type === 'modify')
+    .forEach(exception => {
+      const start = new Date(exception.start_time);
+      if (start < rangeStart || start > rangeEnd) {
+        return;
+      }
+
+      const overrides = {};
+      ['title', 'description', 'location', 'notes'].forEach(field => {
+        if (exception[field] !== null && exception[field] !== undefined) {
+          overrides[field] = exception[field];
+        }
+      });
+
+      occurrences.push(buildOccurrence(
+        event,
+        new Date(exception.original_start),
+        start,
+        exception.end_time ? new Date(exception.end_time) : null,
+        overrides
+      ));
+    });
+
+  return occurrences;
+};
+
+// Checks that a date is a generated occurrence of the series (ignoring exceptions)
+const isOccurrenceOf = (event, occurrenceStart) =>
+  expandRecurringEvent(event, occurrenceStart, occurrenceStart).length > 0;
+
+const getEventExceptions = async (eventIds) => {
+  if (eventIds.length === 0) {
+    return [];
+  }
+
+  const [exceptions] = await mysqlConnection.execute(`
+    SELECT * FROM event_exceptions
+    WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+    ORDER BY original_start ASC
+  `, eventIds);
+
+  return exceptions;
+};
+
+// Loads the events a user organizes or attends starting within the range, with
+// recurring series expanded into individual occurrences. rangeStart/rangeEnd may be
+// null for open-ended listings.
+const getEventOccurrences = async (userId, {
+  rangeStart = null, rangeEnd = null, eventType, appointmentType, childId, providerId,
+  includeUserName = false, includeDeclined = true, limit = null
+} = {}) => {
+  let query = `
+    SELECT e.*, ${includeUserName ? 'u.name as user_name, ' : ''}u.time_zone as user_time_zone,
+           c.name as child_name, ${ATTENDEE_ACCESS_COLUMNS}
+    FROM events e
+    LEFT JOIN users u ON e.user_id = u.id
+    LEFT JOIN children c ON e.child_id = c.id
+    LEFT JOIN event_attendees ea ON ea.event_id = e.id AND ea.user_id = ? AND ea.removed_at IS NULL
+    WHERE (e.user_id = ? OR ea.id IS NOT NULL) AND e.deleted_at IS NULL
+  `;
+  const params = [userId, userId];
+
+  if (!includeDeclined) {
+    query += " AND (ea.id IS NULL OR ea.rsvp_status <> 'declined')";
+  }
+
+  if (eventType) {
+    query += ' AND e.event_type = ?';
+    params.push(eventType);
+  }
+
+  if (appointmentType) {
+    query += ' AND e.appointment_type = ?';
+    params.push(appointmentType);
+  }
+
+  if (providerId) {
+    query += ' AND e.provider_id = ?';
+    params.push(parseInt(providerId));
+  }
+
+  if (childId) {
+    query += ' AND e.child_id = ?';
+    params.push(parseInt(childId));
+  }
+
+  // Single events must start in range; series only need to have started by the end of it
+  let singleQuery = `${query} AND (e.is_recurring = 0 OR e.recurrence_pattern IS NULL)`;
+  const singleParams = [...params];
+  if (rangeStart) {
+    singleQuery += ' AND e.start_time >= ?';
+    singleParams.push(rangeStart);
+  }
+  if (rangeEnd) {
+    singleQuery += ' AND e.start_time <= ?';
+    singleParams.push(rangeEnd);
+  }
+  singleQuery += ' ORDER BY e.start_time ASC';
+  // Only the earliest single events can make a limited listing
+  if (limit) {
+    singleQuery += ' LIMIT ?';
+    singleParams.push(limit);
+  }
+
+  let seriesQuery = `${query} AND e.is_recurring = 1 AND e.recurrence_pattern IS NOT NULL`;
+  const seriesParams = [...params];
+  if (rangeEnd) {
+    seriesQuery += ' AND e.start_time <= ?';
+    seriesParams.push(rangeEnd);
+  }
+
+  const [singleEvents] = await mysqlConnection.execute(singleQuery, singleParams);
+  const [seriesEvents] = await mysqlConnection.execute(seriesQuery, seriesParams);
+  const events = [...singleEvents, ...seriesEvents];
+
+  const recurringEvents = events.filter(isRecurringEvent);
+  const exceptions = await getEventExceptions(recurringEvents.map(event => event.id));
+
+  const expansionStart = rangeStart || new Date(0);
+  const expansionEnd = rangeEnd ||
+    new Date(Math.max(Date.now(), expansionStart.getTime()) + RECURRENCE_HORIZON_DAYS * DAY_MS);
+
+  const occurrences = events.flatMap(event => {
+    if (!isRecurringEvent(event)) {
+      // Unparseable legacy patterns are listed once, as before
+      const start = new Date(event.start_time);
+      return (!rangeStart || start >= rangeStart) && (!rangeEnd || start <= rangeEnd) ? [event] : [];
+    }
+    return expandRecurringEvent(
+      event,
+      expansionStart,
+      expansionEnd,
+      exceptions.filter(exception => exception.event_id === event.id)
+    );
   });
+
+  const sorted = occurrences
+    .map(occurrence => applyEventAccess(occurrence, userId))
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  return limit ? sorted.slice(0, limit) : sorted;
+};
+
+// Listing limits stay within the per-series cap, so every series has
+// contributed all of its earliest occurrences before the cut
+const parseListLimit = (value, fallback) =>
+  Math.min(Math.max(parseInt(value) || fallback, 1), MAX_OCCURRENCES_PER_EVENT);
+
+// ===============================
+// SHARED EVENT ACCESS
+// ===============================
+
+// Events belong to their organizer (events.user_id); care-team members are added
+// as attendees. Attendees with the organizer role or can_edit may change the event.
+const ATTENDEE_ROLES = ['organizer', 'co_caregiver', 'professional'];
+const RSVP_STATUSES = ['pending', 'accepted', 'declined', 'tentative'];
+// busy attendees only see when the event happens, not what it is
+const ATTENDEE_VISIBILITIES = ['full', 'busy'];
+const BUSY_HIDDEN_FIELDS = [
+  'description', 'location', 'notes', 'provider_name', 'provider_contact',
+  'appointment_type', 'child_id', 'child_name'
+];
+
+const ATTENDEE_ACCESS_COLUMNS = `ea.role as attendee_role, ea.rsvp_status as attendee_rsvp_status,
+           ea.visibility as attendee_visibility, ea.can_edit as attendee_can_edit`;
+
+const isEventOrganizer = (event, userId) => Number(event.user_id) === Number(userId);
+
+// Replaces the raw attendee columns with the caller's role, RSVP and edit rights,
+// hiding details from attendees who may only see the event as busy time
+const applyEventAccess = (event, userId) => {
+  const {
+    attendee_role: role, attendee_rsvp_status: rsvpStatus,
+    attendee_visibility: visibility, attendee_can_edit: canEdit, ...fields
+  } = event;
+  const organizer = isEventOrganizer(event, userId);
+
+  const result = {
+    ...fields,
+    is_shared: !organizer,
+    my_role: organizer ? 'organizer' : role,
+    my_rsvp_status: organizer ? 'accepted' : rsvpStatus,
+    can_edit: organizer || role === 'organizer' || !!canEdit,
+    details_hidden: !organizer && visibility === 'busy'
+  };
+
+  if (result.details_hidden) {
+    result.title = 'Busy';
+    BUSY_HIDDEN_FIELDS.forEach(field => {
+      result[field] = null;
+    });
+  }
+
+  return result;
+};
+
+// Loads an event the user organizes or attends, with their access applied.
+// Returns null when the event is missing, not shared with the user, or - with
+// requireEdit - not editable by them.
+const getAccessibleEvent = async (eventId, userId, { requireEdit = false } = {}) => {
+  const [events] = await mysqlConnection.execute(`
+    SELECT e.*, u.name as user_name, u.time_zone as user_time_zone, c.name as child_name,
+           ${ATTENDEE_ACCESS_COLUMNS}
+    FROM events e
+    LEFT JOIN users u ON e.user_id = u.id
+    LEFT JOIN children c ON e.child_id = c.id
+    LEFT JOIN event_attendees ea ON ea.event_id = e.id AND ea.user_id = ? AND ea.removed_at IS NULL
+    WHERE e.id = ? AND (e.user_id = ? OR ea.id IS NOT NULL) AND e.deleted_at IS NULL
+  `, [userId, eventId, userId]);
+
+  if (events.length === 0) {
+    return null;
+  }
+
+  const raw = events[0];
+  const event = applyEventAccess(raw, userId);
+  if (requireEdit && !event.can_edit) {
+    return null;
+  }
+
+  // Editors work on the full record even if their own view is busy-only
+  return requireEdit ? applyEventAccess({ ...raw, attendee_visibility: 'full' }, userId) : event;
+};
+
+// ===============================
+// SCHEDULING CONFLICTS
+// ===============================
+
+// Events without an end time block this long for overlap checks
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+// How far ahead a proposed recurring series is checked for clashes
+const CONFLICT_HORIZON_DAYS = 90;
+const MAX_TRAVEL_BUFFER_MINUTES = 240;
+
+const parseTravelBuffer = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const bufferMinutes = parseInt(value);
+  if (isNaN(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > MAX_TRAVEL_BUFFER_MINUTES) {
+    throw new ValidationError(`Travel buffer must be between 0 and ${MAX_TRAVEL_BUFFER_MINUTES} minutes`);
+  }
+  return bufferMinutes;
+};
+
+const getOccurrenceInterval = (occurrence) => {
+  const start = new Date(occurrence.start_time).getTime();
+  const end = occurrence.end_time ?
+    new Date(occurrence.end_time).getTime() :
+    start + DEFAULT_EVENT_DURATION_MINUTES * 60000;
+  return { start, end };
+};
+
+// Two intervals clash when they overlap or sit closer together than the travel buffer
+const intervalsConflict = (a, b, bufferMs) => a.start < b.end + bufferMs && b.start < a.end + bufferMs;
+
+const summarizeOccurrence = (occurrence) => ({
+  event_id: occurrence.id,
+  occurrence_id: occurrence.occurrence_id || null,
+  title: occurrence.title,
+  event_type: occurrence.event_type,
+  start_time: occurrence.start_time,
+  end_time: occurrence.end_time,
+  location: occurrence.location
 });
 
+// Finds the user's existing occurrences that clash with a proposed event,
+// expanding the proposal first when it recurs
+const findConflicts = async (userId, proposed, {
+  excludeEventId = null, excludeOccurrenceId = null, bufferMinutes = 0
+} = {}) => {
+  const bufferMs = bufferMinutes * 60000;
+  const proposedStart = new Date(proposed.start_time);
+
+  const proposedOccurrences = isRecurringEvent(proposed) ?
+    expandRecurringEvent(
+      { id: excludeEventId || 0, ...proposed },
+      proposedStart,
+      new Date(Math.max(Date.now(), proposedStart.getTime()) + CONFLICT_HORIZON_DAYS * DAY_MS)
+    ) :
+    [proposed];
+
+  if (proposedOccurrences.length === 0) {
+    return [];
+  }
+
+  const proposedIntervals = proposedOccurrences.map(getOccurrenceInterval);
+  const windowStart = Math.min(...proposedIntervals.map(interval => interval.start));
+  const windowEnd = Math.max(...proposedIntervals.map(interval => interval.end));
+
+  // Look back a day so long events that started earlier are still considered
+  const existing = await getEventOccurrences(userId, {
+    rangeStart: new Date(windowStart - bufferMs - DAY_MS),
+    rangeEnd: new Date(windowEnd + bufferMs),
+    includeDeclined: false
+  });
+
+  const conflicts = [];
+  existing
+    .filter(occurrence => occurrence.id !== excludeEventId)
+    .filter(occurrence => !excludeOccurrenceId || occurrence.occurrence_id !== excludeOccurrenceId)
+    .forEach(occurrence => {
+      const interval = getOccurrenceInterval(occurrence);
+      const clash = proposedIntervals.find(proposedInterval =>
+        intervalsConflict(proposedInterval, interval, bufferMs)
+      );
+
+      if (clash) {
+        conflicts.push({
+          ...summarizeOccurrence(occurrence),
+          conflicts_with_start: new Date(clash.start)
+        });
+      }
+    });
+
+  return conflicts;
+};
+
 // ===============================
-// EVENTS ENDPOINTS
+// ICALENDAR (RFC 5545) FORMATTING
 // ===============================
 
-// Create a new event
-app.post('/events', authenticateToken, asyncHandler(async (req, res) => {
-  const { 
-    title, description, event_type, start_time, end_time, 
-    location, is_recurring, recurrence_pattern, reminder_minutes,
-    child_id, notes 
+const ICAL_PRODUCT_ID = '-//Caregiver Circle//Events Service//EN';
+const ICAL_UID_DOMAIN = 'caregiver-circle';
+
+// Feeds cover recent history plus the year ahead
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+
+const escapeICalText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatICalDateTime = (date) => `${new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+
+// Content lines longer than 75 octets are folded with CRLF + space
+const foldICalLine = (line) => {
+  const buffer = Buffer.from(line, 'utf8');
+  if (buffer.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const buildICalEventDescription = (event) => {
+  const lines = [];
+
+  if (event.description) {
+    lines.push(event.description);
+  }
+  if (event.child_name) {
+    lines.push(`Child: ${event.child_name}`);
+  }
+  if (event.provider_name || event.provider_contact) {
+    lines.push(`Provider: ${[event.provider_name, event.provider_contact].filter(Boolean).join(' - ')}`);
+  }
+  if (event.appointment_type) {
+    lines.push(`Appointment type: ${event.appointment_type}`);
+  }
+  if (event.notes) {
+    lines.push(`Notes: ${event.notes}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Builds the VEVENT lines for one event or expanded occurrence
+const buildICalEvent = (event) => {
+  const uid = event.is_occurrence ?
+    `event-${event.id}-${new Date(event.original_start_time).getTime()}@${ICAL_UID_DOMAIN}` :
+    `event-${event.id}@${ICAL_UID_DOMAIN}`;
+  const description = buildICalEventDescription(event);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatICalDateTime(event.updated_at || event.created_at || new Date())}`,
+    `DTSTART:${formatICalDateTime(event.start_time)}`
+  ];
+
+  if (event.end_time) {
+    lines.push(`DTEND:${formatICalDateTime(event.end_time)}`);
+  }
+  lines.push(`SUMMARY:${escapeICalText(event.title)}`);
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeICalText(event.location)}`);
+  }
+  lines.push(`CATEGORIES:${escapeICalText(event.event_type)}`);
+  if (event.updated_at) {
+    lines.push(`LAST-MODIFIED:${formatICalDateTime(event.updated_at)}`);
+  }
+
+  if (event.reminder_minutes !== null && event.reminder_minutes !== undefined) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${parseInt(event.reminder_minutes)}M`,
+      `DESCRIPTION:${escapeICalText(`Reminder: ${event.title}`)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildICalendar = (events, calendarName) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(calendarName)}`,
+    ...events.flatMap(buildICalEvent),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldICalLine).join('\r\n')}\r\n`;
+};
+
+const buildFeedUrl = (token) =>
+  `${process.env.CALENDAR_FEED_BASE_URL || 'http://localhost:3000/api/events'}/feeds/${token}.ics`;
+
+// ===============================
+// ICALENDAR (RFC 5545) PARSING
+// ===============================
+
+const MAX_IMPORT_EVENTS = 500;
+
+// CATEGORIES keywords mapped to event types
+const ICAL_CATEGORY_EVENT_TYPES = {
+  appointment: 'appointment',
+  doctor: 'medical',
+  clinic: 'medical',
+  hospital: 'medical',
+  health: 'medical',
+  medical: 'medical',
+  dentist: 'medical',
+  therapy: 'therapy',
+  speech: 'therapy',
+  occupational: 'therapy',
+  physio: 'therapy',
+  physiotherapy: 'therapy',
+  medication: 'medication',
+  school: 'educational',
+  education: 'educational',
+  educational: 'educational',
+  class: 'educational',
+  social: 'social',
+  party: 'social',
+  family: 'social',
+  support_group: 'support_group',
+  'support group': 'support_group',
+  respite: 'respite',
+  recreation: 'recreational',
+  recreational: 'recreational',
+  sport: 'recreational',
+  sports: 'recreational'
+};
+
+const unescapeICalText = (text) => text
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// Splits a calendar file into unfolded content lines of { name, params, value }
+const parseICalLines = (content) => content
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim().length > 0)
+  .map(line => {
+    const colonIndex = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colonIndex === -1) {
+      return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    paramParts.forEach(param => {
+      const [key, ...valueParts] = param.split('=');
+      params[key.toUpperCase()] = valueParts.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+  })
+  .filter(Boolean);
+
+// Parses a DATE or DATE-TIME value honoring UTC, TZID and floating times
+const parseICalDateTime = (property, defaultTimeZone) => {
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw new ValidationError(`Invalid date value: ${property.value}`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const components = [
+    parseInt(year), parseInt(month) - 1, parseInt(day),
+    parseInt(hour), parseInt(minute), parseInt(second)
+  ];
+
+  if (utc) {
+    return { date: new Date(Date.UTC(...components)), allDay: false };
+  }
+
+  const timeZone = property.params.TZID && isValidTimeZone(property.params.TZID) ?
+    property.params.TZID : defaultTimeZone;
+
+  return {
+    date: zonedTimeToUtc(...components, timeZone),
+    allDay: !match[4],
+    unknownTimeZone: !!property.params.TZID && timeZone !== property.params.TZID
+  };
+};
+
+// Parses an RFC 5545 DURATION into milliseconds
+const parseICalDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((parseInt(weeks) * 7 + parseInt(days)) * 24 + parseInt(hours)) * 60 +
+    parseInt(minutes)) * 60 + parseInt(seconds)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+};
+
+const mapICalCategories = (categories) => {
+  for (const category of categories) {
+    const key = category.trim().toLowerCase();
+    if (ICAL_CATEGORY_EVENT_TYPES[key]) {
+      return ICAL_CATEGORY_EVENT_TYPES[key];
+    }
+  }
+  return null;
+};
+
+// Extracts VEVENT components (with their first VALARM trigger) from a calendar file
+const parseICalEvents = (content) => {
+  const lines = parseICalLines(content);
+  if (lines.length === 0 || lines[0].name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') {
+    throw new ValidationError('File is not a valid iCalendar file');
+  }
+
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line.name === 'BEGIN') {
+      stack.push(line.value.toUpperCase());
+      if (line.value.toUpperCase() === 'VEVENT') {
+        current = { properties: {}, alarmTrigger: null };
+      }
+      return;
+    }
+
+    if (line.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    const component = stack[stack.length - 1];
+    if (component === 'VEVENT') {
+      if (!current.properties[line.name]) {
+        current.properties[line.name] = [];
+      }
+      current.properties[line.name].push(line);
+    } else if (component === 'VALARM' && line.name === 'TRIGGER' && current.alarmTrigger === null) {
+      current.alarmTrigger = line;
+    }
+  });
+
+  return events;
+};
+
+// Maps a parsed VEVENT to an events row, collecting warnings and a skip reason
+const mapICalEvent = (component, { defaultTimeZone, defaultEventType }) => {
+  const prop = (name) => (component.properties[name] ? component.properties[name][0] : null);
+  const text = (name) => (prop(name) ? unescapeICalText(prop(name).value).trim() : null);
+  const warnings = [];
+
+  const uid = text('UID');
+  const result = { uid, warnings, skip_reason: null, event: null, exdates: [] };
+
+  if (prop('RECURRENCE-ID')) {
+    result.skip_reason = 'Modified instances of recurring events are not imported';
+    return result;
+  }
+
+  if ((text('STATUS') || '').toUpperCase() === 'CANCELLED') {
+    result.skip_reason = 'Event is cancelled';
+    return result;
+  }
+
+  if (!prop('DTSTART')) {
+    result.skip_reason = 'Event has no start time';
+    return result;
+  }
+
+  let start;
+  try {
+    start = parseICalDateTime(prop('DTSTART'), defaultTimeZone);
+  } catch (error) {
+    result.skip_reason = error.message;
+    return result;
+  }
+
+  if (start.unknownTimeZone) {
+    warnings.push(`Unknown time zone ${prop('DTSTART').params.TZID}; times interpreted in ${defaultTimeZone}`);
+  }
+
+  let endTime = null;
+  if (prop('DTEND')) {
+    try {
+      endTime = parseICalDateTime(prop('DTEND'), defaultTimeZone).date;
+    } catch (error) {
+      warnings.push('Invalid end time ignored');
+    }
+  } else if (prop('DURATION')) {
+    const durationMs = parseICalDuration(prop('DURATION').value);
+    if (durationMs) {
+      endTime = new Date(start.date.getTime() + durationMs);
+    }
+  } else if (start.allDay) {
+    endTime = new Date(start.date.getTime() + DAY_MS);
+  }
+
+  if (endTime && endTime <= start.date) {
+    warnings.push('End time before start time ignored');
+    endTime = null;
+  }
+
+  let recurrencePattern = null;
+  if (prop('RRULE')) {
+    try {
+      recurrencePattern = normalizeRecurrencePattern(prop('RRULE').value);
+    } catch (error) {
+      warnings.push(`Recurrence not supported (${error.message}); imported as a single event`);
+    }
+  }
+
+  if (recurrencePattern) {
+    (component.properties.EXDATE || []).forEach(exdate => {
+      exdate.value.split(',').forEach(value => {
+        try {
+          result.exdates.push(parseICalDateTime({ ...exdate, value }, defaultTimeZone).date);
+        } catch (error) {
+          warnings.push(`Invalid excluded date ${value} ignored`);
+        }
+      });
+    });
+  }
+
+  const categories = (component.properties.CATEGORIES || [])
+    .flatMap(category => category.value.split(','))
+    .map(unescapeICalText);
+
+  let reminderMinutes = 15;
+  if (component.alarmTrigger) {
+    const triggerMs = parseICalDuration(component.alarmTrigger.value);
+    if (triggerMs !== null && triggerMs <= 0) {
+      reminderMinutes = Math.round(-triggerMs / 60000);
+    }
+  }
+
+  result.event = {
+    title: (text('SUMMARY') || 'Untitled event').slice(0, 255),
+    description: text('DESCRIPTION'),
+    event_type: mapICalCategories(categories) || defaultEventType,
+    start_time: start.date,
+    end_time: endTime,
+    location: text('LOCATION'),
+    is_recurring: !!recurrencePattern,
+    recurrence_pattern: recurrencePattern,
+    reminder_minutes: reminderMinutes,
+    external_uid: uid
+  };
+
+  return result;
+};
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'events-service',
+    timestamp: new Date()
+  });
+});
+
+// ===============================
+// EVENTS ENDPOINTS
+// ===============================
+
+// Create a new event
+app.post('/events', authenticateToken, asyncHandler(async (req, res) => {
+  const { 
+    title, description, event_type, start_time, end_time, 
+    location, is_recurring, recurrence_pattern, reminder_minutes,
+    child_id, notes, time_zone, force, travel_buffer_minutes
+  } = req.body;
+  
+  if (!title || !event_type || !start_time) {
+    throw new ValidationError('Title, event type, and start time are required');
+  }
+  
+  const validatedEventType = validateEventType(event_type);
+  const startTime = parseDateTime(start_time);
+  const endTime = end_time ? parseDateTime(end_time) : null;
+  
+  // Validate end time if provided
+  if (endTime && endTime <= startTime) {
+    throw new ValidationError('End time must be after start time');
+  }
+  
+  // Validate reminder minutes
+  const reminderMins = reminder_minutes ? parseInt(reminder_minutes) : 15;
+  if (isNaN(reminderMins) || reminderMins < 0) {
+    throw new ValidationError('Reminder minutes must be a positive number');
+  }
+  
+  const childId = await validateChildId(child_id, req.user.userId);
+  
+  // Recurring events must carry a valid RRULE, stored in normalized form
+  const recurrencePattern = is_recurring ? normalizeRecurrencePattern(recurrence_pattern) : null;
+  
+  // Events without their own zone follow the user's time zone
+  const eventTimeZone = time_zone ? validateTimeZone(time_zone) : null;
+  
+  // Refuse overlapping events unless the caller forces the save
+  const bufferMinutes = parseTravelBuffer(travel_buffer_minutes);
+  const conflicts = await findConflicts(req.user.userId, {
+    title: title.trim(),
+    event_type: validatedEventType,
+    start_time: startTime,
+    end_time: endTime,
+    is_recurring: !!is_recurring,
+    recurrence_pattern: recurrencePattern,
+    time_zone: eventTimeZone,
+    user_time_zone: await getUserTimeZone(req.user.userId)
+  }, { bufferMinutes });
+  
+  if (conflicts.length > 0 && !parseBooleanFlag(force, 'force')) {
+    return res.status(409).json({
+      error: 'Scheduling conflict',
+      conflicts: conflicts
+    });
+  }
+  
+  const [result] = await mysqlConnection.execute(`
+    INSERT INTO events (
+      user_id, title, description, event_type, start_time, end_time,
+      location, is_recurring, recurrence_pattern, reminder_minutes,
+      child_id, notes, time_zone, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+  `, [
+    req.user.userId, title.trim(), description || null, validatedEventType,
+    startTime, endTime, location || null, !!is_recurring, recurrencePattern,
+    reminderMins, childId, notes || null, eventTimeZone
+  ]);
+  
+  const eventId = result.insertId;
+  
+  res.status(201).json({
+    message: 'Event created successfully',
+    eventId: eventId,
+    startTime: startTime,
+    conflicts: conflicts
+  });
+}));
+
+// Get events for a user
+app.get('/events', authenticateToken, asyncHandler(async (req, res) => {
+  const { 
+    start_date, end_date, event_type, child_id, 
+    include_past = 'false', limit = 50 
+  } = req.query;
+  
+  let rangeStart = start_date ? parseDateTime(start_date) : null;
+  const rangeEnd = end_date ? parseDateTime(end_date) : null;
+  
+  // Don't include past events unless requested
+  if (include_past === 'false') {
+    const now = new Date();
+    rangeStart = rangeStart && rangeStart > now ? rangeStart : now;
+  }
+  
+  const events = await getEventOccurrences(req.user.userId, {
+    rangeStart,
+    rangeEnd,
+    eventType: event_type,
+    childId: child_id,
+    includeUserName: true,
+    limit: parseListLimit(limit, 50)
+  });
+  
+  res.json({
+    events: events,
+    count: events.length
+  });
+}));
+
+// Get a specific event
+app.get('/events/:eventId', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  
+  const event = await getAccessibleEvent(eventId, req.user.userId);
+  
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  if (isRecurringEvent(event)) {
+    const exceptions = await getEventExceptions([event.id]);
+    const now = new Date();
+    
+    event.exceptions = event.details_hidden ?
+      exceptions.map(({ id, original_start, exception_type, start_time, end_time }) => ({
+        id, original_start, exception_type, start_time, end_time
+      })) :
+      exceptions;
+    event.next_occurrences = expandRecurringEvent(
+      event, now, new Date(now.getTime() + RECURRENCE_HORIZON_DAYS * DAY_MS), exceptions
+    )
+      .sort((a, b) => a.start_time - b.start_time)
+      .slice(0, 5)
+      .map(occurrence => ({
+        occurrence_id: occurrence.occurrence_id,
+        original_start_time: occurrence.original_start_time,
+        start_time: occurrence.start_time,
+        end_time: occurrence.end_time,
+        is_exception: occurrence.is_exception
+      }));
+  }
+  
+  event.attendees = await getEventAttendees(event);
+  
+  res.json({ event });
+}));
+
+// Validates the editable event fields present in a request body and maps them
+// to column values. Shared by whole-series updates and "this and following" edits.
+const buildEventChanges = async (body, userId) => {
+  const { 
+    title, description, event_type, start_time, end_time, 
+    location, is_recurring, recurrence_pattern, reminder_minutes,
+    child_id, notes, time_zone, provider_id
+  } = body;
+  
+  const changes = {};
+  
+  if (title !== undefined) {
+    changes.title = title.trim();
+  }
+  
+  if (description !== undefined) {
+    changes.description = description || null;
+  }
+  
+  if (event_type !== undefined) {
+    changes.event_type = validateEventType(event_type);
+  }
+  
+  if (start_time !== undefined) {
+    changes.start_time = parseDateTime(start_time);
+  }
+  
+  if (end_time !== undefined) {
+    changes.end_time = end_time ? parseDateTime(end_time) : null;
+  }
+  
+  if (location !== undefined) {
+    changes.location = location || null;
+  }
+  
+  if (is_recurring !== undefined) {
+    changes.is_recurring = !!is_recurring;
+  }
+  
+  if (recurrence_pattern !== undefined) {
+    changes.recurrence_pattern = recurrence_pattern ? normalizeRecurrencePattern(recurrence_pattern) : null;
+  }
+  
+  if (reminder_minutes !== undefined) {
+    const reminderMins = parseInt(reminder_minutes);
+    if (isNaN(reminderMins) || reminderMins < 0) {
+      throw new ValidationError('Reminder minutes must be a positive number');
+    }
+    changes.reminder_minutes = reminderMins;
+  }
+  
+  if (child_id !== undefined) {
+    changes.child_id = await validateChildId(child_id, userId);
+  }
+  
+  if (notes !== undefined) {
+    changes.notes = notes || null;
+  }
+  
+  if (time_zone !== undefined) {
+    changes.time_zone = time_zone ? validateTimeZone(time_zone) : null;
+  }
+  
+  if (provider_id !== undefined) {
+    Object.assign(changes, await getProviderFields(provider_id, userId));
+  }
+  
+  return changes;
+};
+
+// Update an event
+app.put('/events/:eventId', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  
+  // Only the organizer and attendees granted edit rights may change the event
+  const existing = await getAccessibleEvent(eventId, req.user.userId, { requireEdit: true });
+  
+  if (!existing) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  // Children belong to the organizer
+  const changes = await buildEventChanges(req.body, existing.user_id);
+  const columns = Object.keys(changes);
+  
+  if (columns.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  
+  const willRecur = changes.is_recurring !== undefined ? changes.is_recurring : !!existing.is_recurring;
+  const pattern = changes.recurrence_pattern !== undefined ? changes.recurrence_pattern : existing.recurrence_pattern;
+  if (willRecur && !pattern) {
+    throw new ValidationError('Recurrence pattern is required for recurring events');
+  }
+  
+  // Re-check for clashes when the timing of the event changes
+  let conflicts = [];
+  const timingChanged = ['start_time', 'end_time', 'is_recurring', 'recurrence_pattern', 'time_zone']
+    .some(column => changes[column] !== undefined);
+  
+  if (timingChanged) {
+    const updated = { ...existing, ...changes };
+    if (updated.end_time && new Date(updated.end_time) <= new Date(updated.start_time)) {
+      throw new ValidationError('End time must be after start time');
+    }
+    
+    conflicts = await findConflicts(existing.user_id, updated, {
+      excludeEventId: existing.id,
+      bufferMinutes: parseTravelBuffer(req.body.travel_buffer_minutes)
+    });
+    
+    if (conflicts.length > 0 && !parseBooleanFlag(req.body.force, 'force')) {
+      return res.status(409).json({
+        error: 'Scheduling conflict',
+        conflicts: conflicts
+      });
+    }
+  }
+  
+  // A rescheduled event needs a fresh reminder
+  if (changes.start_time !== undefined || changes.reminder_minutes !== undefined) {
+    columns.push('reminder_sent_at');
+    changes.reminder_sent_at = null;
+  }
+  
+  const params = columns.map(column => changes[column]);
+  params.push(existing.id);
+  
+  const connection = await mysqlConnection.getConnection();
+  let droppedExceptions = 0;
+  
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute(`
+      UPDATE events SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?
+    `, params);
+    
+    if (timingChanged && isRecurringEvent(existing)) {
+      droppedExceptions = await reconcileSeriesExceptions(connection, existing, { ...existing, ...changes });
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  res.json({
+    message: 'Event updated successfully',
+    eventId: parseInt(eventId),
+    conflicts: conflicts,
+    droppedExceptions: droppedExceptions
+  });
+}));
+
+// Exceptions are keyed on the original start of an occurrence. When a series
+// moves, its exceptions move by the same amount; those that no longer land on
+// an occurrence (new pattern, weekday or no longer recurring) are removed.
+// Returns the number removed.
+const reconcileSeriesExceptions = async (connection, existing, updated) => {
+  const [exceptions] = await connection.execute(
+    'SELECT * FROM event_exceptions WHERE event_id = ? ORDER BY original_start ASC',
+    [existing.id]
+  );
+  
+  const shiftMs = new Date(updated.start_time) - new Date(existing.start_time);
+  const shift = (value) => (value ? new Date(new Date(value).getTime() + shiftMs) : value);
+  
+  // Move the latest first when shifting later (and the earliest first when
+  // shifting earlier) so no row passes through another's original start
+  if (shiftMs > 0) {
+    exceptions.reverse();
+  }
+  
+  let dropped = 0;
+  for (const exception of exceptions) {
+    const originalStart = shift(exception.original_start);
+    
+    if (!isRecurringEvent(updated) || !isOccurrenceOf(updated, originalStart)) {
+      await connection.execute('DELETE FROM event_exceptions WHERE id = ?', [exception.id]);
+      dropped++;
+    } else if (shiftMs !== 0) {
+      await connection.execute(`
+        UPDATE event_exceptions SET original_start = ?, start_time = ?, end_time = ?, updated_at = NOW()
+        WHERE id = ?
+      `, [originalStart, shift(exception.start_time), shift(exception.end_time), exception.id]);
+    }
+  }
+  
+  return dropped;
+};
+
+// Delete an event
+app.delete('/events/:eventId', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  
+  const [result] = await mysqlConnection.execute(`
+    UPDATE events 
+    SET deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [eventId, req.user.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  res.json({
+    message: 'Event deleted successfully',
+    eventId: parseInt(eventId)
+  });
+}));
+
+// ===============================
+// RECURRING EVENT OCCURRENCES
+// ===============================
+
+// Columns copied when a series is split into two events
+const EVENT_COPY_COLUMNS = [
+  'user_id', 'title', 'description', 'event_type', 'start_time', 'end_time',
+  'location', 'is_recurring', 'recurrence_pattern', 'reminder_minutes',
+  'provider_name', 'provider_contact', 'appointment_type', 'child_id', 'notes',
+  'time_zone', 'provider_id'
+];
+
+// Loads a recurring event the user may edit and parses the occurrence date from the URL
+const getRecurringEventOccurrence = async (eventId, occurrenceStartParam, userId) => {
+  const event = await getAccessibleEvent(eventId, userId, { requireEdit: true });
+  
+  if (!event) {
+    return { event: null };
+  }
+  
+  if (!isRecurringEvent(event)) {
+    throw new ValidationError('Event is not a recurring event');
+  }
+  
+  const occurrenceStart = parseDateTime(occurrenceStartParam);
+  if (!isOccurrenceOf(event, occurrenceStart)) {
+    return { event, occurrenceStart: null };
+  }
+  
+  return { event, occurrenceStart };
+};
+
+const saveEventException = async (eventId, originalStart, fields) => {
+  const [existing] = await mysqlConnection.execute(
+    'SELECT id FROM event_exceptions WHERE event_id = ? AND original_start = ?',
+    [eventId, originalStart]
+  );
+  
+  const columns = Object.keys(fields);
+  const values = columns.map(column => fields[column]);
+  
+  if (existing.length > 0) {
+    await mysqlConnection.execute(`
+      UPDATE event_exceptions SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW()
+      WHERE id = ?
+    `, [...values, existing[0].id]);
+    return existing[0].id;
+  }
+  
+  const [result] = await mysqlConnection.execute(`
+    INSERT INTO event_exceptions (event_id, original_start, ${columns.join(', ')}, created_at, updated_at)
+    VALUES (?, ?, ${columns.map(() => '?').join(', ')}, NOW(), NOW())
+  `, [eventId, originalStart, ...values]);
+  
+  return result.insertId;
+};
+
+// Skip a single occurrence of a recurring event
+app.delete('/events/:eventId/occurrences/:occurrenceStart', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { event, occurrenceStart } = await getRecurringEventOccurrence(
+    eventId, req.params.occurrenceStart, req.user.userId
+  );
+  
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  if (!occurrenceStart) {
+    return res.status(404).json({ error: 'Occurrence not found' });
+  }
+  
+  const exceptionId = await saveEventException(event.id, occurrenceStart, {
+    exception_type: 'skip',
+    start_time: null,
+    end_time: null,
+    title: null,
+    description: null,
+    location: null,
+    notes: null
+  });
+  
+  res.json({
+    message: 'Occurrence skipped successfully',
+    eventId: event.id,
+    exceptionId: exceptionId,
+    occurrenceStart: occurrenceStart
+  });
+}));
+
+// Move or edit a single occurrence of a recurring event
+app.put('/events/:eventId/occurrences/:occurrenceStart', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { start_time, end_time, title, description, location, notes } = req.body;
+  
+  const { event, occurrenceStart } = await getRecurringEventOccurrence(
+    eventId, req.params.occurrenceStart, req.user.userId
+  );
+  
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  if (!occurrenceStart) {
+    return res.status(404).json({ error: 'Occurrence not found' });
+  }
+  
+  const durationMs = event.end_time ? new Date(event.end_time) - new Date(event.start_time) : null;
+  const startTime = start_time ? parseDateTime(start_time) : occurrenceStart;
+  let endTime;
+  if (end_time !== undefined) {
+    endTime = end_time ? parseDateTime(end_time) : null;
+  } else {
+    endTime = durationMs !== null ? new Date(startTime.getTime() + durationMs) : null;
+  }
+  
+  if (endTime && endTime <= startTime) {
+    throw new ValidationError('End time must be after start time');
+  }
+  
+  // The occurrence being moved cannot clash with itself
+  const conflicts = await findConflicts(event.user_id, {
+    event_type: event.event_type,
+    start_time: startTime,
+    end_time: endTime
+  }, {
+    excludeOccurrenceId: `${event.id}_${occurrenceStart.getTime()}`,
+    bufferMinutes: parseTravelBuffer(req.body.travel_buffer_minutes)
+  });
+  
+  if (conflicts.length > 0 && !parseBooleanFlag(req.body.force, 'force')) {
+    return res.status(409).json({
+      error: 'Scheduling conflict',
+      conflicts: conflicts
+    });
+  }
+  
+  const exceptionId = await saveEventException(event.id, occurrenceStart, {
+    exception_type: 'modify',
+    start_time: startTime,
+    end_time: endTime,
+    title: title ? title.trim() : null,
+    description: description || null,
+    location: location || null,
+    notes: notes || null
+  });
+  
+  res.json({
+    message: 'Occurrence updated successfully',
+    eventId: event.id,
+    exceptionId: exceptionId,
+    occurrenceStart: occurrenceStart,
+    startTime: startTime,
+    conflicts: conflicts
+  });
+}));
+
+// Edit this and all following occurrences by splitting the series in two
+app.put('/events/:eventId/occurrences/:occurrenceStart/following', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { event, occurrenceStart } = await getRecurringEventOccurrence(
+    eventId, req.params.occurrenceStart, req.user.userId
+  );
+  
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  if (!occurrenceStart) {
+    return res.status(404).json({ error: 'Occurrence not found' });
+  }
+  
+  const seriesStart = new Date(event.start_time);
+  if (occurrenceStart.getTime() === seriesStart.getTime()) {
+    throw new ValidationError('This is the first occurrence - update the whole event instead');
+  }
+  
+  const changes = await buildEventChanges(req.body, event.user_id);
+  const rule = parseRecurrenceRule(event.recurrence_pattern);
+  
+  // Occurrences before the split point count towards the original COUNT
+  const previousCount = expandRecurringEvent(
+    event, seriesStart, new Date(occurrenceStart.getTime() - 1)
+  ).length;
+  
+  const truncatedPattern = serializeRecurrenceRule({
+    ...rule,
+    count: null,
+    until: new Date(occurrenceStart.getTime() - 1000)
+  });
+  
+  const newPattern = changes.recurrence_pattern || serializeRecurrenceRule({
+    ...rule,
+    count: rule.count ? rule.count - previousCount : null
+  });
+  
+  const durationMs = event.end_time ? new Date(event.end_time) - seriesStart : null;
+  const newStart = changes.start_time || occurrenceStart;
+  let newEnd;
+  if (changes.end_time !== undefined) {
+    newEnd = changes.end_time;
+  } else {
+    newEnd = durationMs !== null ? new Date(newStart.getTime() + durationMs) : null;
+  }
+  
+  if (newEnd && newEnd <= newStart) {
+    throw new ValidationError('End time must be after start time');
+  }
+  
+  const newEvent = {};
+  EVENT_COPY_COLUMNS.forEach(column => {
+    newEvent[column] = changes[column] !== undefined ? changes[column] : event[column];
+  });
+  Object.assign(newEvent, {
+    start_time: newStart,
+    end_time: newEnd,
+    is_recurring: true,
+    recurrence_pattern: newPattern
+  });
+  
+  // The new series replaces the rest of the old one, so that is not a clash
+  const conflicts = await findConflicts(event.user_id, {
+    ...newEvent,
+    user_time_zone: event.user_time_zone
+  }, {
+    excludeEventId: event.id,
+    bufferMinutes: parseTravelBuffer(req.body.travel_buffer_minutes)
+  });
+  
+  if (conflicts.length > 0 && !parseBooleanFlag(req.body.force, 'force')) {
+    return res.status(409).json({
+      error: 'Scheduling conflict',
+      conflicts: conflicts
+    });
+  }
+  
+  const connection = await mysqlConnection.getConnection();
+  let newEventId;
+  
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute(`
+      UPDATE events SET recurrence_pattern = ?, updated_at = NOW() WHERE id = ?
+    `, [truncatedPattern, event.id]);
+    
+    const [result] = await connection.execute(`
+      INSERT INTO events (${EVENT_COPY_COLUMNS.join(', ')}, created_at, updated_at)
+      VALUES (${EVENT_COPY_COLUMNS.map(() => '?').join(', ')}, NOW(), NOW())
+    `, EVENT_COPY_COLUMNS.map(column => newEvent[column]));
+    newEventId = result.insertId;
+    
+    // The care team carries over to the new series
+    await connection.execute(`
+      INSERT INTO event_attendees (
+        event_id, user_id, role, rsvp_status, visibility, can_edit, invited_by,
+        responded_at, created_at, updated_at
+      )
+      SELECT ?, user_id, role, rsvp_status, visibility, can_edit, invited_by, responded_at, NOW(), NOW()
+      FROM event_attendees
+      WHERE event_id = ? AND removed_at IS NULL
+    `, [newEventId, event.id]);
+    
+    // Exceptions after the split follow the new series while its times are unchanged
+    if (changes.start_time === undefined && changes.recurrence_pattern === undefined) {
+      await connection.execute(`
+        UPDATE event_exceptions SET event_id = ?, updated_at = NOW()
+        WHERE event_id = ? AND original_start >= ?
+      `, [newEventId, event.id, occurrenceStart]);
+    } else {
+      await connection.execute(
+        'DELETE FROM event_exceptions WHERE event_id = ? AND original_start >= ?',
+        [event.id, occurrenceStart]
+      );
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  res.status(201).json({
+    message: 'Following occurrences updated successfully',
+    originalEventId: event.id,
+    eventId: newEventId,
+    startTime: newStart,
+    conflicts: conflicts
+  });
+}));
+
+// Remove an exception, restoring the occurrence to the series
+app.delete('/events/:eventId/exceptions/:exceptionId', authenticateToken, asyncHandler(async (req, res) => {
+  const { eventId, exceptionId } = req.params;
+  
+  const event = await getAccessibleEvent(eventId, req.user.userId, { requireEdit: true });
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  const [result] = await mysqlConnection.execute(
+    'DELETE FROM event_exceptions WHERE id = ? AND event_id = ?',
+    [exceptionId, event.id]
+  );
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Exception not found' });
+  }
+  
+  res.json({
+    message: 'Occurrence restored successfully',
+    eventId: parseInt(eventId),
+    exceptionId: parseInt(exceptionId)
+  });
+}));
+
+// ===============================
+// EVENT ATTENDEES
+// ===============================
+
+const validateAttendeeRole = (role) => {
+  if (!ATTENDEE_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid attendee role. Must be one of: ${ATTENDEE_ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+const validateAttendeeVisibility = (visibility) => {
+  if (!ATTENDEE_VISIBILITIES.includes(visibility)) {
+    throw new ValidationError(`Invalid visibility. Must be one of: ${ATTENDEE_VISIBILITIES.join(', ')}`);
+  }
+  return visibility;
+};
+
+// Organizer first, followed by the active attendees
+const getEventAttendees = async (event) => {
+  const [attendees] = await mysqlConnection.execute(`
+    SELECT ea.user_id, u.name, u.email, ea.role, ea.rsvp_status, ea.visibility, ea.can_edit,
+           ea.responded_at, ea.created_at
+    FROM event_attendees ea
+    JOIN users u ON ea.user_id = u.id
+    WHERE ea.event_id = ? AND ea.removed_at IS NULL
+    ORDER BY ea.created_at ASC
+  `, [event.id]);
+  
+  const [organizers] = await mysqlConnection.execute(
+    'SELECT id, name, email FROM users WHERE id = ?',
+    [event.user_id]
+  );
+  
+  const organizer = {
+    user_id: event.user_id,
+    name: organizers.length > 0 ? organizers[0].name : null,
+    email: organizers.length > 0 ? organizers[0].email : null,
+    role: 'organizer',
+    rsvp_status: 'accepted',
+    visibility: 'full',
+    can_edit: true,
+    is_owner: true
+  };
+  
+  return [organizer, ...attendees.map(attendee => ({
+    ...attendee,
+    can_edit: attendee.role === 'organizer' || !!attendee.can_edit,
+    is_owner: false
+  }))];
+};
+
+// Loads an event whose attendees the user may manage (organizers only)
+const getOrganizedEvent = async (eventId, userId) => {
+  const event = await getAccessibleEvent(eventId, userId);
+  return event && event.my_role === 'organizer' ? event : null;
+};
+
+// List the organizer and attendees of an event
+app.get('/events/:eventId/attendees', authenticateToken, asyncHandler(async (req, res) => {
+  const event = await getAccessibleEvent(req.params.eventId, req.user.userId);
+  
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  const attendees = await getEventAttendees(event);
+  
+  res.json({
+    attendees: attendees,
+    count: attendees.length
+  });
+}));
+
+// Invite a care-team member to an event
+app.post('/events/:eventId/attendees', authenticateToken, asyncHandler(async (req, res) => {
+  const { user_id, email, role = 'co_caregiver', visibility = 'full', can_edit = false } = req.body;
+  
+  const event = await getOrganizedEvent(req.params.eventId, req.user.userId);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  if (!user_id && !email) {
+    throw new ValidationError('User ID or email is required');
+  }
+  
+  const validatedRole = validateAttendeeRole(role);
+  const validatedVisibility = validateAttendeeVisibility(visibility);
+  
+  const [users] = await mysqlConnection.execute(
+    `SELECT id, name FROM users WHERE ${user_id ? 'id' : 'email'} = ? AND deleted_at IS NULL`,
+    [user_id ? parseInt(user_id) : String(email).trim().toLowerCase()]
+  );
+  
+  if (users.length === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  const attendeeId = users[0].id;
+  if (isEventOrganizer(event, attendeeId)) {
+    throw new ValidationError('The event owner is already the organizer');
+  }
+  
+  const [existing] = await mysqlConnection.execute(
+    'SELECT id, removed_at FROM event_attendees WHERE event_id = ? AND user_id = ?',
+    [event.id, attendeeId]
+  );
+  
+  if (existing.length > 0 && !existing[0].removed_at) {
+    return res.status(409).json({ error: 'User is already an attendee' });
+  }
+  
+  // Re-inviting a removed attendee restores their row with a fresh RSVP
+  if (existing.length > 0) {
+    await mysqlConnection.execute(`
+      UPDATE event_attendees
+      SET role = ?, rsvp_status = 'pending', visibility = ?, can_edit = ?, invited_by = ?,
+          responded_at = NULL, removed_at = NULL, updated_at = NOW()
+      WHERE id = ?
+    `, [validatedRole, validatedVisibility, !!can_edit, req.user.userId, existing[0].id]);
+  } else {
+    await mysqlConnection.execute(`
+      INSERT INTO event_attendees (
+        event_id, user_id, role, rsvp_status, visibility, can_edit, invited_by, created_at, updated_at
+      ) VALUES (?, ?, ?, 'pending', ?, ?, ?, NOW(), NOW())
+    `, [event.id, attendeeId, validatedRole, validatedVisibility, !!can_edit, req.user.userId]);
+  }
+  
+  res.status(201).json({
+    message: 'Attendee added successfully',
+    eventId: event.id,
+    userId: attendeeId
+  });
+}));
+
+// Change an attendee's role, visibility or edit rights
+app.put('/events/:eventId/attendees/:userId', authenticateToken, asyncHandler(async (req, res) => {
+  const { role, visibility, can_edit } = req.body;
+  
+  const event = await getOrganizedEvent(req.params.eventId, req.user.userId);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  const updateFields = [];
+  const updateValues = [];
+  
+  if (role !== undefined) {
+    updateFields.push('role = ?');
+    updateValues.push(validateAttendeeRole(role));
+  }
+  
+  if (visibility !== undefined) {
+    updateFields.push('visibility = ?');
+    updateValues.push(validateAttendeeVisibility(visibility));
+  }
+  
+  if (can_edit !== undefined) {
+    updateFields.push('can_edit = ?');
+    updateValues.push(!!can_edit);
+  }
+  
+  if (updateFields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  
+  updateFields.push('updated_at = NOW()');
+  updateValues.push(event.id, req.params.userId);
+  
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_attendees SET ${updateFields.join(', ')}
+    WHERE event_id = ? AND user_id = ? AND removed_at IS NULL
+  `, updateValues);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Attendee not found' });
+  }
+  
+  res.json({
+    message: 'Attendee updated successfully',
+    eventId: event.id,
+    userId: parseInt(req.params.userId)
+  });
+}));
+
+// Remove an attendee. Organizers may remove anyone; attendees may remove themselves.
+app.delete('/events/:eventId/attendees/:userId', authenticateToken, asyncHandler(async (req, res) => {
+  const event = await getAccessibleEvent(req.params.eventId, req.user.userId);
+  const isSelf = Number(req.params.userId) === Number(req.user.userId);
+  
+  if (!event || (event.my_role !== 'organizer' && !isSelf)) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_attendees SET removed_at = NOW(), updated_at = NOW()
+    WHERE event_id = ? AND user_id = ? AND removed_at IS NULL
+  `, [event.id, req.params.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Attendee not found' });
+  }
+  
+  res.json({
+    message: 'Attendee removed successfully',
+    eventId: event.id,
+    userId: parseInt(req.params.userId)
+  });
+}));
+
+// Respond to an invitation
+app.put('/events/:eventId/rsvp', authenticateToken, asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  
+  if (!RSVP_STATUSES.includes(status) || status === 'pending') {
+    throw new ValidationError('Invalid RSVP status. Use accepted, declined or tentative');
+  }
+  
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_attendees ea
+    JOIN events e ON ea.event_id = e.id
+    SET ea.rsvp_status = ?, ea.responded_at = NOW(), ea.updated_at = NOW()
+    WHERE ea.event_id = ? AND ea.user_id = ? AND ea.removed_at IS NULL AND e.deleted_at IS NULL
+  `, [status, req.params.eventId, req.user.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+  
+  res.json({
+    message: 'RSVP updated successfully',
+    eventId: parseInt(req.params.eventId),
+    status: status
+  });
+}));
+
+// ===============================
+// EVENT TEMPLATES
+// ===============================
+
+// Templates hold everything needed to create an event except its start time.
+// Template sets ("weekly routines") place templates on weekdays at local times
+// and are applied to a date range as single events.
+const MAX_TEMPLATE_DURATION_MINUTES = 24 * 60;
+const MAX_ROUTINE_APPLY_DAYS = 92;
+
+const TEMPLATE_SELECT = `
+  SELECT t.*, c.name as child_name
+  FROM event_templates t
+  LEFT JOIN children c ON t.child_id = c.id
+`;
+
+// Validates template fields present in a request body and maps them to columns.
+// With requireAll, the fields needed to create a template must be present.
+const buildTemplateFields = async (body, userId, { requireAll = false } = {}) => {
+  const {
+    name, title, description, event_type, duration_minutes, location,
+    reminder_minutes, child_id, notes, recurrence_pattern, appointment_type
+  } = body;
+  
+  if (requireAll && (!name || !title || !event_type)) {
+    throw new ValidationError('Name, title, and event type are required');
+  }
+  
+  const fields = {};
+  
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new ValidationError('Template name cannot be empty');
+    }
+    fields.name = name.trim();
+  }
+  
+  if (title !== undefined) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      throw new ValidationError('Title cannot be empty');
+    }
+    fields.title = title.trim();
+  }
+  
+  if (description !== undefined) {
+    fields.description = description || null;
+  }
+  
+  if (event_type !== undefined) {
+    fields.event_type = validateEventType(event_type);
+  }
+  
+  if (duration_minutes !== undefined) {
+    const duration = duration_minutes === null ? null : parseInt(duration_minutes);
+    if (duration !== null && (isNaN(duration) || duration < 1 || duration > MAX_TEMPLATE_DURATION_MINUTES)) {
+      throw new ValidationError(`Duration must be between 1 and ${MAX_TEMPLATE_DURATION_MINUTES} minutes`);
+    }
+    fields.duration_minutes = duration;
+  }
+  
+  if (location !== undefined) {
+    fields.location = location || null;
+  }
+  
+  if (reminder_minutes !== undefined) {
+    const reminderMins = parseInt(reminder_minutes);
+    if (isNaN(reminderMins) || reminderMins < 0) {
+      throw new ValidationError('Reminder minutes must be a positive number');
+    }
+    fields.reminder_minutes = reminderMins;
+  }
+  
+  if (child_id !== undefined) {
+    fields.child_id = await validateChildId(child_id, userId);
+  }
+  
+  if (notes !== undefined) {
+    fields.notes = notes || null;
+  }
+  
+  if (recurrence_pattern !== undefined) {
+    fields.recurrence_pattern = recurrence_pattern ? normalizeRecurrencePattern(recurrence_pattern) : null;
+  }
+  
+  if (appointment_type !== undefined) {
+    fields.appointment_type = appointment_type || null;
+  }
+  
+  return fields;
+};
+
+const getTemplate = async (templateId, userId) => {
+  const [templates] = await mysqlConnection.execute(`
+    ${TEMPLATE_SELECT}
+    WHERE t.id = ? AND t.user_id = ? AND t.deleted_at IS NULL
+  `, [templateId, userId]);
+  
+  return templates.length > 0 ? templates[0] : null;
+};
+
+// Builds the event a template produces at a start time
+const buildTemplateEvent = async (template, userId, startTime, { withRecurrence = true } = {}) => {
+  // The child may have been archived since the template was saved; the event
+  // is then created without one rather than failing the whole request
+  let childId = null;
+  if (template.child_id) {
+    try {
+      childId = await validateChildId(template.child_id, userId);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+  const recurrencePattern = withRecurrence ? template.recurrence_pattern : null;
+  
+  return {
+    user_id: userId,
+    title: template.title,
+    description: template.description,
+    event_type: template.event_type,
+    start_time: startTime,
+    end_time: template.duration_minutes ? new Date(startTime.getTime() + template.duration_minutes * 60000) : null,
+    location: template.location,
+    is_recurring: !!recurrencePattern,
+    recurrence_pattern: recurrencePattern,
+    reminder_minutes: template.reminder_minutes !== null ? template.reminder_minutes : 15,
+    appointment_type: template.appointment_type,
+    child_id: childId,
+    child_removed: !!template.child_id && !childId,
+    notes: template.notes,
+    template_id: template.id
+  };
+};
+
+const TEMPLATE_EVENT_COLUMNS = [
+  'user_id', 'title', 'description', 'event_type', 'start_time', 'end_time', 'location',
+  'is_recurring', 'recurrence_pattern', 'reminder_minutes', 'appointment_type', 'child_id',
+  'notes', 'template_id'
+];
+
+const insertTemplateEvent = async (connection, event) => {
+  const [result] = await connection.execute(`
+    INSERT INTO events (${TEMPLATE_EVENT_COLUMNS.join(', ')}, created_at, updated_at)
+    VALUES (${TEMPLATE_EVENT_COLUMNS.map(() => '?').join(', ')}, NOW(), NOW())
+  `, TEMPLATE_EVENT_COLUMNS.map(column => event[column]));
+  
+  return result.insertId;
+};
+
+// Parses routine items: each places a template on a weekday at a local time
+const parseRoutineItems = async (items, userId) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('Items must be a non-empty array');
+  }
+  
+  const parsed = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new ValidationError('Each item must be an object with weekday, template_id and time');
+    }
+    const weekday = WEEKDAY_NAMES.indexOf(String(item.weekday).toLowerCase());
+    if (weekday === -1) {
+      throw new ValidationError(`Invalid weekday. Use one of: ${WEEKDAY_NAMES.join(', ')}`);
+    }
+    if (!(await getTemplate(item.template_id, userId))) {
+      throw new ValidationError('Template not found');
+    }
+    parsed.push({
+      template_id: parseInt(item.template_id),
+      weekday,
+      start_minute: parseClockTime(item.time, 'time')
+    });
+  }
+  return parsed;
+};
+
+const getRoutineItems = async (setId) => {
+  const [items] = await mysqlConnection.execute(`
+    SELECT i.id, i.template_id, i.weekday, i.start_minute, t.name as template_name, t.title
+    FROM template_set_items i
+    JOIN event_templates t ON i.template_id = t.id
+    WHERE i.set_id = ? AND t.deleted_at IS NULL
+    ORDER BY i.weekday ASC, i.start_minute ASC
+  `, [setId]);
+  
+  return items.map(item => ({
+    ...item,
+    weekday: WEEKDAY_NAMES[item.weekday],
+    time: formatClockTime(item.start_minute)
+  }));
+};
+
+const setRoutineItems = async (connection, setId, items) => {
+  await connection.execute('DELETE FROM template_set_items WHERE set_id = ?', [setId]);
+  for (const item of items) {
+    await connection.execute(`
+      INSERT INTO template_set_items (set_id, template_id, weekday, start_minute, created_at)
+      VALUES (?, ?, ?, ?, NOW())
+    `, [setId, item.template_id, item.weekday, item.start_minute]);
+  }
+};
+
+const getTemplateSet = async (setId, userId) => {
+  const [sets] = await mysqlConnection.execute(`
+    SELECT * FROM template_sets
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [setId, userId]);
+  
+  return sets.length > 0 ? sets[0] : null;
+};
+
+// Create an event template
+app.post('/templates', authenticateToken, asyncHandler(async (req, res) => {
+  const fields = await buildTemplateFields(req.body, req.user.userId, { requireAll: true });
+  const columns = Object.keys(fields);
+  
+  const [result] = await mysqlConnection.execute(`
+    INSERT INTO event_templates (user_id, ${columns.join(', ')}, created_at, updated_at)
+    VALUES (?, ${columns.map(() => '?').join(', ')}, NOW(), NOW())
+  `, [req.user.userId, ...columns.map(column => fields[column])]);
+  
+  res.status(201).json({
+    message: 'Template created successfully',
+    templateId: result.insertId
+  });
+}));
+
+// Get the current user's templates
+app.get('/templates', authenticateToken, asyncHandler(async (req, res) => {
+  const { event_type, child_id } = req.query;
+  
+  let query = `${TEMPLATE_SELECT} WHERE t.user_id = ? AND t.deleted_at IS NULL`;
+  const params = [req.user.userId];
+  
+  if (event_type) {
+    query += ' AND t.event_type = ?';
+    params.push(event_type);
+  }
+  
+  if (child_id) {
+    query += ' AND t.child_id = ?';
+    params.push(parseInt(child_id));
+  }
+  
+  query += ' ORDER BY t.name ASC';
+  
+  const [templates] = await mysqlConnection.execute(query, params);
+  
+  res.json({
+    templates: templates,
+    count: templates.length
+  });
+}));
+
+// Get a specific template
+app.get('/templates/:templateId', authenticateToken, asyncHandler(async (req, res) => {
+  const template = await getTemplate(req.params.templateId, req.user.userId);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  res.json({ template });
+}));
+
+// Update a template
+app.put('/templates/:templateId', authenticateToken, asyncHandler(async (req, res) => {
+  const fields = await buildTemplateFields(req.body, req.user.userId);
+  const columns = Object.keys(fields);
+  
+  if (columns.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_templates SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [...columns.map(column => fields[column]), req.params.templateId, req.user.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  res.json({
+    message: 'Template updated successfully',
+    templateId: parseInt(req.params.templateId)
+  });
+}));
+
+// Delete a template (events created from it are kept)
+app.delete('/templates/:templateId', authenticateToken, asyncHandler(async (req, res) => {
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_templates SET deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [req.params.templateId, req.user.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  res.json({
+    message: 'Template deleted successfully',
+    templateId: parseInt(req.params.templateId)
+  });
+}));
+
+// Create an event from a template at a given start time
+app.post('/templates/:templateId/instantiate', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_time, force, travel_buffer_minutes } = req.body;
+  
+  if (!start_time) {
+    throw new ValidationError('Start time is required');
+  }
+  
+  const template = await getTemplate(req.params.templateId, req.user.userId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  const event = await buildTemplateEvent(template, req.user.userId, parseDateTime(start_time));
+  
+  const conflicts = await findConflicts(req.user.userId, {
+    ...event,
+    user_time_zone: await getUserTimeZone(req.user.userId)
+  }, { bufferMinutes: parseTravelBuffer(travel_buffer_minutes) });
+  
+  if (conflicts.length > 0 && !parseBooleanFlag(force, 'force')) {
+    return res.status(409).json({
+      error: 'Scheduling conflict',
+      conflicts: conflicts
+    });
+  }
+  
+  const eventId = await insertTemplateEvent(mysqlConnection, event);
+  
+  res.status(201).json({
+    message: 'Event created from template successfully',
+    eventId: eventId,
+    templateId: template.id,
+    startTime: event.start_time,
+    childRemoved: event.child_removed,
+    conflicts: conflicts
+  });
+}));
+
+// Create a weekly routine from templates
+app.post('/template-sets', authenticateToken, asyncHandler(async (req, res) => {
+  const { name, description, items } = req.body;
+  
+  if (!name || name.trim().length === 0) {
+    throw new ValidationError('Routine name is required');
+  }
+  
+  const parsedItems = await parseRoutineItems(items, req.user.userId);
+  
+  const connection = await mysqlConnection.getConnection();
+  let setId;
+  
+  try {
+    await connection.beginTransaction();
+    
+    const [result] = await connection.execute(`
+      INSERT INTO template_sets (user_id, name, description, created_at, updated_at)
+      VALUES (?, ?, ?, NOW(), NOW())
+    `, [req.user.userId, name.trim(), description || null]);
+    setId = result.insertId;
+    
+    await setRoutineItems(connection, setId, parsedItems);
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  res.status(201).json({
+    message: 'Routine created successfully',
+    setId: setId
+  });
+}));
+
+// Get the current user's routines
+app.get('/template-sets', authenticateToken, asyncHandler(async (req, res) => {
+  const [sets] = await mysqlConnection.execute(`
+    SELECT s.*, COUNT(i.id) as item_count
+    FROM template_sets s
+    LEFT JOIN template_set_items i ON i.set_id = s.id
+    WHERE s.user_id = ? AND s.deleted_at IS NULL
+    GROUP BY s.id
+    ORDER BY s.name ASC
+  `, [req.user.userId]);
+  
+  res.json({
+    template_sets: sets,
+    count: sets.length
+  });
+}));
+
+// Get a specific routine with its items
+app.get('/template-sets/:setId', authenticateToken, asyncHandler(async (req, res) => {
+  const set = await getTemplateSet(req.params.setId, req.user.userId);
+  
+  if (!set) {
+    return res.status(404).json({ error: 'Routine not found' });
+  }
+  
+  set.items = await getRoutineItems(set.id);
+  
+  res.json({ template_set: set });
+}));
+
+// Update a routine's name, description or items
+app.put('/template-sets/:setId', authenticateToken, asyncHandler(async (req, res) => {
+  const { name, description, items } = req.body;
+  
+  const set = await getTemplateSet(req.params.setId, req.user.userId);
+  if (!set) {
+    return res.status(404).json({ error: 'Routine not found' });
+  }
+  
+  const updateFields = [];
+  const updateValues = [];
+  
+  if (name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      throw new ValidationError('Routine name cannot be empty');
+    }
+    updateFields.push('name = ?');
+    updateValues.push(name.trim());
+  }
+  
+  if (description !== undefined) {
+    updateFields.push('description = ?');
+    updateValues.push(description || null);
+  }
+  
+  const parsedItems = items !== undefined ? await parseRoutineItems(items, req.user.userId) : null;
+  
+  if (updateFields.length === 0 && !parsedItems) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  
+  const connection = await mysqlConnection.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    updateFields.push('updated_at = NOW()');
+    await connection.execute(
+      `UPDATE template_sets SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateValues, set.id]
+    );
+    
+    if (parsedItems) {
+      await setRoutineItems(connection, set.id, parsedItems);
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  res.json({
+    message: 'Routine updated successfully',
+    setId: set.id
+  });
+}));
+
+// Delete a routine (its templates are kept)
+app.delete('/template-sets/:setId', authenticateToken, asyncHandler(async (req, res) => {
+  const [result] = await mysqlConnection.execute(`
+    UPDATE template_sets SET deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [req.params.setId, req.user.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Routine not found' });
+  }
+  
+  res.json({
+    message: 'Routine deleted successfully',
+    setId: parseInt(req.params.setId)
+  });
+}));
+
+// Apply a routine to a date range (inclusive, in the user's time zone). Each item
+// becomes a single event on every matching weekday; template recurrence is not
+// used here. Conflicting items are skipped unless forced, and dry_run previews.
+app.post('/template-sets/:setId/apply', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_date, end_date } = req.body;
+  const force = parseBooleanFlag(req.body.force, 'force');
+  const dryRun = parseBooleanFlag(req.body.dry_run, 'dry_run');
+  
+  const set = await getTemplateSet(req.params.setId, req.user.userId);
+  if (!set) {
+    return res.status(404).json({ error: 'Routine not found' });
+  }
+  
+  const firstDate = parseCalendarDate(start_date, 'start date');
+  const lastDate = parseCalendarDate(end_date, 'end date');
+  if (lastDate < firstDate || lastDate - firstDate >= MAX_ROUTINE_APPLY_DAYS * DAY_MS) {
+    throw new ValidationError(`Date range must cover between 1 and ${MAX_ROUTINE_APPLY_DAYS} days`);
+  }
+  
+  const timeZone = await getUserTimeZone(req.user.userId);
+  const items = await getRoutineItems(set.id);
+  const templates = new Map();
+  
+  const planned = [];
+  for (let date = firstDate; date <= lastDate; date = addCalendarDays(date, 1)) {
+    for (const item of items.filter(candidate => candidate.weekday === WEEKDAY_NAMES[date.getUTCDay()])) {
+      if (!templates.has(item.template_id)) {
+        templates.set(item.template_id, await getTemplate(item.template_id, req.user.userId));
+      }
+      
+      const startTime = zonedTimeToUtc(
+        date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, item.start_minute, 0, timeZone
+      );
+      const event = await buildTemplateEvent(templates.get(item.template_id), req.user.userId, startTime, {
+        withRecurrence: false
+      });
+      
+      planned.push({
+        date: calendarDateKey(date),
+        template_id: item.template_id,
+        event,
+        conflicts: await findConflicts(req.user.userId, event)
+      });
+    }
+  }
+  
+  // Items in the routine itself must not overlap each other either
+  planned.forEach((entry, index) => {
+    planned.slice(0, index)
+      .filter(earlier => intervalsConflict(getOccurrenceInterval(earlier.event), getOccurrenceInterval(entry.event), 0))
+      .forEach(earlier => entry.conflicts.push({
+        title: earlier.event.title,
+        start_time: earlier.event.start_time,
+        end_time: earlier.event.end_time,
+        from_routine: true
+      }));
+  });
+  
+  const toCreate = planned.filter(entry => force || entry.conflicts.length === 0);
+  const skipped = planned.filter(entry => !toCreate.includes(entry));
+  
+  if (!dryRun && toCreate.length > 0) {
+    const connection = await mysqlConnection.getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      for (const entry of toCreate) {
+        entry.event_id = await insertTemplateEvent(connection, entry.event);
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+  
+  const summarize = (entry) => ({
+    date: entry.date,
+    template_id: entry.template_id,
+    event_id: entry.event_id || null,
+    title: entry.event.title,
+    start_time: entry.event.start_time,
+    end_time: entry.event.end_time,
+    child_removed: entry.event.child_removed,
+    conflicts: entry.conflicts
+  });
+  
+  res.status(dryRun ? 200 : 201).json({
+    message: dryRun ? 'Routine preview generated' : 'Routine applied successfully',
+    setId: set.id,
+    dry_run: dryRun,
+    created: toCreate.map(summarize),
+    skipped: skipped.map(summarize),
+    created_count: toCreate.length,
+    skipped_count: skipped.length
+  });
+}));
+
+// ===============================
+// CALENDAR IMPORT
+// ===============================
+
+// Import events from an .ics file. Defaults to a dry run that only returns a preview;
+// send dry_run=false to create the events.
+app.post('/events/import', authenticateToken, icsUpload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('An .ics file is required');
+  }
+
+  const {
+    dry_run, time_zone, default_event_type = 'other', child_id
+  } = req.body;
+  const isDryRun = parseBooleanFlag(dry_run, 'dry_run', true);
+
+  // Floating times in the file are read in the user's time zone unless overridden
+  const importTimeZone = time_zone ? validateTimeZone(time_zone) : await getUserTimeZone(req.user.userId);
+
+  const defaultEventType = validateEventType(default_event_type);
+  const childId = await validateChildId(child_id, req.user.userId);
+
+  const components = parseICalEvents(req.file.buffer.toString('utf8'));
+  if (components.length > MAX_IMPORT_EVENTS) {
+    throw new ValidationError(`Calendar files can contain at most ${MAX_IMPORT_EVENTS} events`);
+  }
+
+  const mapped = components.map(component => mapICalEvent(component, {
+    defaultTimeZone: importTimeZone,
+    defaultEventType
+  }));
+
+  // Duplicates are detected by UID against earlier imports and this service's own feed
+  const uids = [...new Set(mapped.map(item => item.uid).filter(Boolean))];
+  const existingUids = new Set();
+
+  if (uids.length > 0) {
+    const [existing] = await mysqlConnection.execute(`
+      SELECT external_uid FROM events
+      WHERE user_id = ? AND deleted_at IS NULL
+      AND external_uid IN (${uids.map(() => '?').join(', ')})
+    `, [req.user.userId, ...uids]);
+    existing.forEach(row => existingUids.add(row.external_uid));
+
+    const ownEventIds = uids
+      .map(uid => uid.match(new RegExp(`^event-(\\d+)(?:-\\d+)?@${ICAL_UID_DOMAIN}$`)))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]));
+
+    if (ownEventIds.length > 0) {
+      const [ownEvents] = await mysqlConnection.execute(`
+        SELECT id FROM events
+        WHERE user_id = ? AND deleted_at IS NULL
+        AND id IN (${ownEventIds.map(() => '?').join(', ')})
+      `, [req.user.userId, ...ownEventIds]);
+      const ownIds = new Set(ownEvents.map(event => event.id));
+
+      uids.forEach(uid => {
+        const match = uid.match(new RegExp(`^event-(\\d+)(?:-\\d+)?@${ICAL_UID_DOMAIN}$`));
+        if (match && ownIds.has(parseInt(match[1]))) {
+          existingUids.add(uid);
+        }
+      });
+    }
+  }
+
+  const seenUids = new Set();
+  const preview = mapped.map(item => {
+    let status = 'new';
+    let reason = item.skip_reason;
+
+    if (item.skip_reason) {
+      status = 'skipped';
+    } else if (item.uid && (existingUids.has(item.uid) || seenUids.has(item.uid))) {
+      status = 'duplicate';
+      reason = 'An event with this UID has already been imported';
+    }
+
+    if (item.uid) {
+      seenUids.add(item.uid);
+    }
+
+    return { ...item, status, reason };
+  });
+
+  const toCreate = preview.filter(item => item.status === 'new');
+  const createdIds = [];
+
+  if (!isDryRun && toCreate.length > 0) {
+    const connection = await mysqlConnection.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const item of toCreate) {
+        const event = item.event;
+        const [result] = await connection.execute(`
+          INSERT INTO events (
+            user_id, title, description, event_type, start_time, end_time,
+            location, is_recurring, recurrence_pattern, reminder_minutes,
+            child_id, external_uid, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        `, [
+          req.user.userId, event.title, event.description, event.event_type,
+          event.start_time, event.end_time, event.location, event.is_recurring,
+          event.recurrence_pattern, event.reminder_minutes, childId, event.external_uid
+        ]);
+        createdIds.push(result.insertId);
+
+        for (const exdate of item.exdates) {
+          await connection.execute(`
+            INSERT INTO event_exceptions (event_id, original_start, exception_type, created_at, updated_at)
+            VALUES (?, ?, 'skip', NOW(), NOW())
+          `, [result.insertId, exdate]);
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  res.status(isDryRun ? 200 : 201).json({
+    message: isDryRun ? 'Import preview generated' : 'Events imported successfully',
+    dry_run: isDryRun,
+    summary: {
+      total: preview.length,
+      new: toCreate.length,
+      duplicates: preview.filter(item => item.status === 'duplicate').length,
+      skipped: preview.filter(item => item.status === 'skipped').length,
+      created: createdIds.length
+    },
+    events: preview.map(item => ({
+      uid: item.uid,
+      status: item.status,
+      reason: item.reason,
+      warnings: item.warnings,
+      ...(item.event && {
+        title: item.event.title,
+        event_type: item.event.event_type,
+        start_time: item.event.start_time,
+        end_time: item.event.end_time,
+        location: item.event.location,
+        recurrence_pattern: item.event.recurrence_pattern,
+        excluded_dates: item.exdates
+      })
+    })),
+    ...(!isDryRun && { eventIds: createdIds })
+  });
+}));
+
+// ===============================
+// SEARCH
+// ===============================
+
+// Matches are weighted by the field they occur in; the provider directory's
+// clinic and specialty count as provider fields
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  provider_name: 3,
+  provider_clinic: 3,
+  provider_specialty: 3,
+  location: 2,
+  description: 1,
+  notes: 1
+};
+const SEARCH_SQL_FIELDS = {
+  title: 'e.title',
+  provider_name: 'e.provider_name',
+  provider_clinic: 'p.clinic',
+  provider_specialty: 'p.specialty',
+  location: 'e.location',
+  description: 'e.description',
+  notes: 'e.notes'
+};
+const MAX_SEARCH_TERMS = 10;
+const MAX_SEARCH_CANDIDATES = 500;
+const MAX_SEARCH_RESULTS = 100;
+const SNIPPET_CONTEXT_CHARS = 60;
+
+const tokenizeSearchQuery = (query) => [...new Set(
+  String(query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= 2)
+)].slice(0, MAX_SEARCH_TERMS);
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+const escapeSearchRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const countMatches = (text, term) => {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+// Scores a row: weighted term matches (capped per term and field), a bonus when
+// the whole phrase appears, and a boost when every term is found somewhere
+const scoreSearchResult = (row, terms, phrase) => {
+  let score = 0;
+  const matchedTerms = new Set();
+  const matchedFields = [];
+
+  Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const text = row[field] ? String(row[field]).toLowerCase() : '';
+    if (!text) {
+      return;
+    }
+
+    let fieldScore = 0;
+    terms.forEach(term => {
+      const matches = Math.min(countMatches(text, term), 3);
+      if (matches > 0) {
+        matchedTerms.add(term);
+        fieldScore += matches * weight;
+      }
+    });
+    if (terms.length > 1 && text.includes(phrase)) {
+      fieldScore += weight * 2;
+    }
+
+    if (fieldScore > 0) {
+      matchedFields.push(field);
+      score += fieldScore;
+    }
+  });
+
+  if (matchedTerms.size === terms.length) {
+    score *= 1.5;
+  }
+
+  return { score: Math.round(score * 10) / 10, matchedFields };
+};
+
+// HTML-escaped excerpt around the first match with every term wrapped in <mark>
+const buildHighlight = (text, terms) => {
+  const value = String(text);
+  const lower = value.toLowerCase();
+  const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index !== -1));
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(value.length, first + SNIPPET_CONTEXT_CHARS * 2);
+  const excerpt = value.slice(start, end);
+
+  const pattern = new RegExp(`(${terms.map(escapeSearchRegex).join('|')})`, 'gi');
+  const highlighted = excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < value.length ? '…' : ''}`;
+};
+
+// Search events and appointments the user can see in full
+app.get('/search', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    q, event_type, appointment_type, child_id, provider_id, start_date, end_date,
+    when = 'all', sort = 'relevance', limit = 20
+  } = req.query;
+  
+  const terms = tokenizeSearchQuery(q);
+  if (terms.length === 0) {
+    throw new ValidationError('Search query must contain at least one word of two or more characters');
+  }
+  if (!['all', 'past', 'upcoming'].includes(when)) {
+    throw new ValidationError('Invalid when filter. Use all, past or upcoming');
+  }
+  if (!['relevance', 'date'].includes(sort)) {
+    throw new ValidationError('Invalid sort. Use relevance or date');
+  }
+  const resultLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_SEARCH_RESULTS);
+  
+  // Shared events the user may only see as busy time are not searchable
+  let query = `
+    SELECT e.*, c.name as child_name, p.clinic as provider_clinic, p.specialty as provider_specialty,
+           u.time_zone as user_time_zone, ${ATTENDEE_ACCESS_COLUMNS}
+    FROM events e
+    LEFT JOIN users u ON e.user_id = u.id
+    LEFT JOIN children c ON e.child_id = c.id
+    LEFT JOIN providers p ON e.provider_id = p.id
+    LEFT JOIN event_attendees ea ON ea.event_id = e.id AND ea.user_id = ? AND ea.removed_at IS NULL
+    WHERE (e.user_id = ? OR (ea.id IS NOT NULL AND ea.visibility <> 'busy')) AND e.deleted_at IS NULL
+  `;
+  const params = [req.user.userId, req.user.userId];
+  
+  const termConditions = terms.map(term => {
+    const fields = Object.values(SEARCH_SQL_FIELDS);
+    params.push(...fields.map(() => `%${escapeLike(term)}%`));
+    return `(${fields.map(field => `${field} LIKE ?`).join(' OR ')})`;
+  });
+  query += ` AND (${termConditions.join(' OR ')})`;
+  
+  if (event_type) {
+    query += ' AND e.event_type = ?';
+    params.push(event_type);
+  }
+  
+  if (appointment_type) {
+    query += ' AND e.appointment_type = ?';
+    params.push(appointment_type);
+  }
+  
+  if (child_id) {
+    query += ' AND e.child_id = ?';
+    params.push(parseInt(child_id));
+  }
+  
+  if (provider_id) {
+    query += ' AND e.provider_id = ?';
+    params.push(parseInt(provider_id));
+  }
+  
+  // Series are kept when any part of them can fall inside the date filters
+  if (start_date) {
+    query += ' AND (e.start_time >= ? OR (e.is_recurring = 1 AND e.recurrence_pattern IS NOT NULL))';
+    params.push(parseDateTime(start_date));
+  }
+  
+  if (end_date) {
+    query += ' AND e.start_time <= ?';
+    params.push(parseDateTime(end_date));
+  }
+  
+  query += ` ORDER BY e.start_time DESC LIMIT ${MAX_SEARCH_CANDIDATES}`;
+  
+  const [rows] = await mysqlConnection.execute(query, params);
+  
+  const now = new Date();
+  const phrase = terms.join(' ');
+  const recurringIds = rows.filter(isRecurringEvent).map(row => row.id);
+  const exceptions = await getEventExceptions(recurringIds);
+  
+  const results = rows.map(row => {
+    const { score, matchedFields } = scoreSearchResult(row, terms, phrase);
+    const event = applyEventAccess(row, req.user.userId);
+    
+    // Series report their closest past and next occurrences
+    let lastOccurrence = new Date(row.start_time) < now ? new Date(row.start_time) : null;
+    let nextOccurrence = new Date(row.start_time) >= now ? new Date(row.start_time) : null;
+    if (isRecurringEvent(row)) {
+      const seriesExceptions = exceptions.filter(exception => exception.event_id === row.id);
+      const past = expandRecurringEvent(row, new Date(now.getTime() - RECURRENCE_HORIZON_DAYS * DAY_MS), now, seriesExceptions);
+      const upcoming = expandRecurringEvent(row, now, new Date(now.getTime() + RECURRENCE_HORIZON_DAYS * DAY_MS), seriesExceptions);
+      lastOccurrence = past.length > 0 ? past[past.length - 1].start_time : null;
+      nextOccurrence = upcoming.length > 0 ? upcoming[0].start_time : null;
+    }
+    
+    const highlights = {};
+    matchedFields.forEach(field => {
+      highlights[field] = buildHighlight(row[field], terms);
+    });
+    
+    return {
+      event,
+      score,
+      matched_fields: matchedFields,
+      highlights,
+      last_occurrence: lastOccurrence,
+      next_occurrence: nextOccurrence
+    };
+  }).filter(result => {
+    if (result.score === 0) {
+      return false;
+    }
+    if (when === 'past') {
+      return result.last_occurrence !== null;
+    }
+    if (when === 'upcoming') {
+      return result.next_occurrence !== null;
+    }
+    return true;
+  });
+  
+  // The most recent visit breaks relevance ties
+  const latest = (result) => new Date(result.last_occurrence || result.next_occurrence || 0).getTime();
+  results.sort((a, b) => (sort === 'relevance' ? b.score - a.score : 0) || latest(b) - latest(a));
+  
+  const page = results.slice(0, resultLimit);
+  
+  res.json({
+    query: q,
+    terms: terms,
+    results: page,
+    count: page.length,
+    total_matches: results.length
+  });
+}));
+
+// ===============================
+// CALENDAR VIEW ENDPOINTS
+// ===============================
+
+const CALENDAR_VIEWS = ['month', 'week', 'day', 'agenda'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_AGENDA_DAYS = 14;
+const MAX_AGENDA_DAYS = 90;
+
+// Calendar dates are handled as UTC midnights so that date arithmetic is free of
+// DST; they are converted to instants in the user's zone only for range queries
+const parseCalendarDate = (value, fieldName) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  const date = match ? new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))) : null;
+
+  if (!date || date.getUTCMonth() !== parseInt(match[2]) - 1) {
+    throw new ValidationError(`Invalid ${fieldName}. Use YYYY-MM-DD`);
+  }
+  return date;
+};
+
+const todayCalendarDate = (timeZone) => parseCalendarDate(formatDateKey(new Date(), timeZone), 'date');
+
+const addCalendarDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const calendarDateKey = (date) => date.toISOString().split('T')[0];
+
+const calendarDateToUtc = (date, timeZone) =>
+  zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, 0, 0, timeZone);
+
+const parseWeekStart = (value) => {
+  const weekStart = WEEKDAY_NAMES.indexOf(String(value).toLowerCase());
+  if (weekStart === -1) {
+    throw new ValidationError(`Invalid week start. Use one of: ${WEEKDAY_NAMES.join(', ')}`);
+  }
+  return weekStart;
+};
+
+// ISO-8601 week: weeks start on Monday and week 1 contains January 4th
+const getIsoWeek = (date) => {
+  const thursday = addCalendarDays(date, 3 - (date.getUTCDay() + 6) % 7);
+  const isoYear = thursday.getUTCFullYear();
+  const firstThursday = new Date(Date.UTC(isoYear, 0, 4));
+  const week = 1 + Math.round((thursday - addCalendarDays(firstThursday, 3 - (firstThursday.getUTCDay() + 6) % 7)) / (7 * DAY_MS));
+  return { year: isoYear, week };
+};
+
+const getIsoWeekMonday = (isoYear, week) => {
+  const january4 = new Date(Date.UTC(isoYear, 0, 4));
+  const monday = addCalendarDays(january4, -((january4.getUTCDay() + 6) % 7) + (week - 1) * 7);
+
+  if (week < 1 || getIsoWeek(monday).year !== isoYear) {
+    throw new ValidationError(`Invalid week. ${isoYear} has ${getIsoWeek(new Date(Date.UTC(isoYear, 11, 28))).week} ISO weeks`);
+  }
+  return monday;
+};
+
+// Merges the busy intervals of occurrences clipped to a window and returns the
+// busy blocks and the free gaps between them
+const computeFreeBusy = (occurrences, windowStart, windowEnd) => {
+  const intervals = occurrences
+    .map(getOccurrenceInterval)
+    .map(({ start, end }) => ({ start: Math.max(start, windowStart), end: Math.min(end, windowEnd) }))
+    .filter(({ start, end }) => end > start)
+    .sort((a, b) => a.start - b.start);
+
+  const busy = [];
+  intervals.forEach(interval => {
+    const last = busy[busy.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      busy.push({ ...interval });
+    }
+  });
+
+  const free = [];
+  let cursor = windowStart;
+  busy.forEach(block => {
+    if (block.start > cursor) {
+      free.push({ start: cursor, end: block.start });
+    }
+    cursor = block.end;
+  });
+  if (cursor < windowEnd) {
+    free.push({ start: cursor, end: windowEnd });
+  }
+
+  const formatBlock = ({ start, end }) => ({
+    start_time: new Date(start),
+    end_time: new Date(end),
+    duration_minutes: Math.round((end - start) / 60000)
+  });
+
+  return { busy: busy.map(formatBlock), free: free.map(formatBlock) };
+};
+
+// One slot per elapsed hour of the local day, so DST days have 23 or 25 slots
+const buildHourlySlots = (occurrences, dayStart, dayEnd, timeZone) => {
+  const slots = [];
+
+  for (let slotStart = dayStart.getTime(); slotStart < dayEnd.getTime(); slotStart += 60 * 60 * 1000) {
+    const slotEnd = Math.min(slotStart + 60 * 60 * 1000, dayEnd.getTime());
+    const parts = getZonedParts(new Date(slotStart), timeZone);
+    const eventIds = occurrences
+      .filter(occurrence => {
+        const { start, end } = getOccurrenceInterval(occurrence);
+        return start < slotEnd && end > slotStart;
+      })
+      .map(occurrence => occurrence.occurrence_id || String(occurrence.id));
+
+    slots.push({
+      label: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`,
+      start_time: new Date(slotStart),
+      end_time: new Date(slotEnd),
+      busy: eventIds.length > 0,
+      event_ids: eventIds
+    });
+  }
+
+  return slots;
+};
+
+// Resolves the first calendar date and number of days covered by a view
+const getCalendarViewRange = (view, query, timeZone, weekStart) => {
+  const { year, month, week, date, days } = query;
+
+  if (view === 'month') {
+    if (!year || !month) {
+      throw new ValidationError('Year and month are required');
+    }
+    const monthIndex = parseInt(month) - 1;
+    if (isNaN(parseInt(year)) || isNaN(monthIndex) || monthIndex < 0 || monthIndex > 11) {
+      throw new ValidationError('Invalid year or month');
+    }
+    const first = new Date(Date.UTC(parseInt(year), monthIndex, 1));
+    const dayCount = new Date(Date.UTC(parseInt(year), monthIndex + 1, 0)).getUTCDate();
+    return { first, dayCount };
+  }
+
+  if (view === 'week') {
+    let isoWeek;
+    if (date) {
+      isoWeek = getIsoWeek(parseCalendarDate(date, 'date'));
+    } else {
+      // Older clients send the week number in the month parameter
+      const weekNumber = parseInt(week || month);
+      if (!year || isNaN(weekNumber)) {
+        throw new ValidationError('Year and week, or date, are required');
+      }
+      isoWeek = { year: parseInt(year), week: weekNumber };
+    }
+    const monday = getIsoWeekMonday(isoWeek.year, isoWeek.week);
+
+    // Other week starts begin on the closest preceding start day
+    const first = addCalendarDays(monday, -((1 - weekStart + 7) % 7));
+    return { first, dayCount: 7, isoWeek };
+  }
+
+  if (view === 'day') {
+    const first = date ? parseCalendarDate(date, 'date') : todayCalendarDate(timeZone);
+    return { first, dayCount: 1 };
+  }
+
+  const dayCount = days === undefined ? DEFAULT_AGENDA_DAYS : parseInt(days);
+  if (isNaN(dayCount) || dayCount < 1 || dayCount > MAX_AGENDA_DAYS) {
+    throw new ValidationError(`Days must be between 1 and ${MAX_AGENDA_DAYS}`);
+  }
+  const first = date ? parseCalendarDate(date, 'date') : todayCalendarDate(timeZone);
+  return { first, dayCount };
+};
+
+// Get calendar view. Every view returns the same shape: the covered range, one
+// entry per local day and the events grouped by date; the day view adds hourly
+// slots and free/busy blocks, and the week view its ISO week number.
+app.get('/calendar', authenticateToken, asyncHandler(async (req, res) => {
+  const { view = 'month', week_start = 'monday' } = req.query;
+  
+  if (!CALENDAR_VIEWS.includes(view)) {
+    throw new ValidationError(`Invalid view type. Use one of: ${CALENDAR_VIEWS.join(', ')}`);
+  }
+  
+  // Day boundaries are computed in the user's time zone
+  const timeZone = await getUserTimeZone(req.user.userId);
+  const weekStart = parseWeekStart(week_start);
+  const { first, dayCount, isoWeek } = getCalendarViewRange(view, req.query, timeZone, weekStart);
+  
+  const startDate = calendarDateToUtc(first, timeZone);
+  const nextDayStart = calendarDateToUtc(addCalendarDays(first, dayCount), timeZone);
+  const endDate = new Date(nextDayStart.getTime() - 1);
+  
+  // The day view also needs events from the previous day that run past midnight
+  const occurrences = await getEventOccurrences(req.user.userId, {
+    rangeStart: view === 'day' ? new Date(startDate.getTime() - DAY_MS) : startDate,
+    rangeEnd: endDate
+  });
+  const events = occurrences.filter(event => new Date(event.start_time) >= startDate);
+  
+  // Group events by local date for easier frontend consumption
+  const eventsByDate = {};
+  events.forEach(event => {
+    const dateKey = formatDateKey(event.start_time, timeZone);
+    if (!eventsByDate[dateKey]) {
+      eventsByDate[dateKey] = [];
+    }
+    eventsByDate[dateKey].push(event);
+  });
+  
+  const todayKey = formatDateKey(new Date(), timeZone);
+  const days = [];
+  for (let index = 0; index < dayCount; index++) {
+    const date = addCalendarDays(first, index);
+    const dateKey = calendarDateKey(date);
+    days.push({
+      date: dateKey,
+      weekday: WEEKDAY_NAMES[date.getUTCDay()],
+      is_today: dateKey === todayKey,
+      events: eventsByDate[dateKey] || []
+    });
+  }
+  
+  const calendar = {
+    view,
+    time_zone: timeZone,
+    week_start: WEEKDAY_NAMES[weekStart],
+    start_date: startDate,
+    end_date: endDate,
+    days,
+    events_by_date: eventsByDate,
+    total_events: events.length
+  };
+  
+  if (isoWeek) {
+    calendar.iso_week = isoWeek;
+  }
+  
+  if (view === 'day') {
+    const overlapping = occurrences.filter(occurrence =>
+      getOccurrenceInterval(occurrence).end > startDate.getTime());
+    const { busy, free } = computeFreeBusy(overlapping, startDate.getTime(), nextDayStart.getTime());
+    calendar.slots = buildHourlySlots(overlapping, startDate, nextDayStart, timeZone);
+    calendar.busy = busy;
+    calendar.free = free;
+  }
+  
+  res.json({ calendar });
+}));
+
+// Get today's events
+app.get('/today', authenticateToken, asyncHandler(async (req, res) => {
+  const timeZone = await getUserTimeZone(req.user.userId);
+  const today = new Date();
+  const startOfDay = startOfZonedDay(today, timeZone);
+  const endOfDay = startOfZonedDay(today, timeZone, 1);
+  
+  const events = await getEventOccurrences(req.user.userId, {
+    rangeStart: startOfDay,
+    rangeEnd: new Date(endOfDay.getTime() - 1)
+  });
+  
+  res.json({
+    today_events: events,
+    date: startOfDay,
+    local_date: formatDateKey(today, timeZone),
+    time_zone: timeZone,
+    count: events.length
+  });
+}));
+
+// Get upcoming events (next 7 days)
+app.get('/upcoming', authenticateToken, asyncHandler(async (req, res) => {
+  const { days = 7 } = req.query;
+  const periodDays = parseInt(days);
+  
+  if (isNaN(periodDays) || periodDays < 1 || periodDays > RECURRENCE_HORIZON_DAYS) {
+    throw new ValidationError(`Days must be between 1 and ${RECURRENCE_HORIZON_DAYS}`);
+  }
+  
+  const now = new Date();
+  const futureDate = new Date();
+  futureDate.setDate(now.getDate() + periodDays);
+  
+  const events = await getEventOccurrences(req.user.userId, {
+    rangeStart: now,
+    rangeEnd: futureDate,
+    includeDeclined: false,
+    limit: 20
+  });
+  
+  res.json({
+    upcoming_events: events,
+    period_days: periodDays,
+    count: events.length
+  });
+}));
+
+// ===============================
+// CALENDAR SUBSCRIPTION FEED
+// ===============================
+
+// Get the current user's calendar feed URL
+app.get('/calendar-feed', authenticateToken, asyncHandler(async (req, res) => {
+  const [feeds] = await mysqlConnection.execute(`
+    SELECT token, created_at, last_accessed_at
+    FROM calendar_feeds
+    WHERE user_id = ? AND revoked_at IS NULL
+  `, [req.user.userId]);
+
+  if (feeds.length === 0) {
+    return res.status(404).json({ error: 'No calendar feed has been created' });
+  }
+
+  res.json({
+    feed_url: buildFeedUrl(feeds[0].token),
+    created_at: feeds[0].created_at,
+    last_accessed_at: feeds[0].last_accessed_at
+  });
+}));
+
+// Create or regenerate the calendar feed URL (revokes any previous URL)
+app.post('/calendar-feed', authenticateToken, asyncHandler(async (req, res) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const connection = await mysqlConnection.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    await connection.execute(`
+      UPDATE calendar_feeds SET revoked_at = NOW()
+      WHERE user_id = ? AND revoked_at IS NULL
+    `, [req.user.userId]);
+
+    await connection.execute(`
+      INSERT INTO calendar_feeds (user_id, token, created_at)
+      VALUES (?, ?, NOW())
+    `, [req.user.userId, token]);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  res.status(201).json({
+    message: 'Calendar feed created successfully',
+    feed_url: buildFeedUrl(token)
+  });
+}));
+
+// Revoke the calendar feed URL
+app.delete('/calendar-feed', authenticateToken, asyncHandler(async (req, res) => {
+  const [result] = await mysqlConnection.execute(`
+    UPDATE calendar_feeds SET revoked_at = NOW()
+    WHERE user_id = ? AND revoked_at IS NULL
+  `, [req.user.userId]);
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'No calendar feed has been created' });
+  }
+
+  res.json({ message: 'Calendar feed revoked successfully' });
+}));
+
+// Public read-only iCalendar feed, authenticated by the secret token in the URL
+app.get('/feeds/:token.ics', asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const [feeds] = await mysqlConnection.execute(`
+    SELECT f.id, f.user_id, u.name as user_name
+    FROM calendar_feeds f
+    JOIN users u ON f.user_id = u.id
+    WHERE f.token = ? AND f.revoked_at IS NULL AND u.deleted_at IS NULL
+  `, [token]);
+
+  if (feeds.length === 0) {
+    return res.status(404).json({ error: 'Calendar feed not found' });
+  }
+
+  const feed = feeds[0];
+  const now = Date.now();
+
+  const events = await getEventOccurrences(feed.user_id, {
+    rangeStart: new Date(now - FEED_PAST_DAYS * DAY_MS),
+    rangeEnd: new Date(now + FEED_FUTURE_DAYS * DAY_MS),
+    includeDeclined: false
+  });
+
+  await mysqlConnection.execute(
+    'UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = ?',
+    [feed.id]
+  );
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="caregiver-circle.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(buildICalendar(events, `${feed.user_name} - Caregiver Circle`));
+}));
+
+// ===============================
+// SCHEDULING CONFLICTS
+// ===============================
+
+// List all clashes between upcoming events
+app.get('/conflicts', authenticateToken, asyncHandler(async (req, res) => {
+  const { days = 30, travel_buffer_minutes } = req.query;
+  const periodDays = parseInt(days);
+  
+  if (isNaN(periodDays) || periodDays < 1 || periodDays > RECURRENCE_HORIZON_DAYS) {
+    throw new ValidationError(`Days must be between 1 and ${RECURRENCE_HORIZON_DAYS}`);
+  }
+  
+  const bufferMs = parseTravelBuffer(travel_buffer_minutes) * 60000;
+  const now = new Date();
+  
+  const occurrences = await getEventOccurrences(req.user.userId, {
+    rangeStart: now,
+    rangeEnd: new Date(now.getTime() + periodDays * DAY_MS)
+  });
+  
+  // Occurrences are sorted by start, so each one only needs comparing with those
+  // starting before it ends (plus the buffer)
+  const conflicts = [];
+  occurrences.forEach((first, i) => {
+    const firstInterval = getOccurrenceInterval(first);
+    
+    for (let j = i + 1; j < occurrences.length; j++) {
+      const second = occurrences[j];
+      const secondInterval = getOccurrenceInterval(second);
+      
+      if (secondInterval.start >= firstInterval.end + bufferMs) {
+        break;
+      }
+      
+      if (intervalsConflict(firstInterval, secondInterval, bufferMs)) {
+        const overlapMs = Math.min(firstInterval.end, secondInterval.end) -
+          Math.max(firstInterval.start, secondInterval.start);
+        
+        conflicts.push({
+          first: summarizeOccurrence(first),
+          second: summarizeOccurrence(second),
+          overlap_minutes: Math.max(Math.round(overlapMs / 60000), 0)
+        });
+      }
+    }
+  });
+  
+  res.json({
+    conflicts: conflicts,
+    period_days: periodDays,
+    count: conflicts.length
+  });
+}));
+
+// ===============================
+// FREE TIME FINDER
+// ===============================
+
+// Free windows are the times when neither the user nor the selected care-team
+// members have events, outside the user's sleep and working hours. Hours come
+// from the query, then users.preferences (sleep_hours, working_hours), then
+// these defaults; "none" turns a block off.
+const DEFAULT_SLEEP_HOURS = { start: '22:00', end: '07:00' };
+const DEFAULT_WORKING_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const DEFAULT_MIN_FREE_MINUTES = 60;
+const MAX_FREE_TIME_DAYS = 31;
+// Windows at least this long are suggested for respite; shorter ones for self-care
+const RESPITE_MIN_MINUTES = 180;
+const RESPITE_MAX_MINUTES = 240;
+const SELF_CARE_MAX_MINUTES = 60;
+
+// Parses 'HH:MM-HH:MM' (or a { start, end } preference) into minutes after midnight
+const parseHoursRange = (value, fieldName) => {
+  if (!value || value === 'none') {
+    return null;
+  }
+
+  const [start, end] = typeof value === 'string' ? value.split('-') : [value.start, value.end];
+  const range = { start: parseClockTime(start, fieldName), end: parseClockTime(end, fieldName) };
+  if (range.start === range.end) {
+    throw new ValidationError(`Invalid ${fieldName}. Start and end must differ`);
+  }
+  return range;
+};
+
+const parseWeekdayList = (value) => {
+  const days = Array.isArray(value) ? value : String(value).split(',');
+  return days.map(day => {
+    const weekday = WEEKDAY_NAMES.indexOf(String(day).trim().toLowerCase());
+    if (weekday === -1) {
+      throw new ValidationError(`Invalid weekday. Use one of: ${WEEKDAY_NAMES.join(', ')}`);
+    }
+    return weekday;
+  });
+};
+
+// Users who share events with the user in either direction
+const getCareTeamIds = async (userId) => {
+  const [members] = await mysqlConnection.execute(`
+    SELECT DISTINCT ea.user_id as member_id
+    FROM event_attendees ea
+    JOIN events e ON ea.event_id = e.id
+    WHERE e.user_id = ? AND ea.removed_at IS NULL AND e.deleted_at IS NULL
+    UNION
+    SELECT DISTINCT e.user_id as member_id
+    FROM event_attendees ea
+    JOIN events e ON ea.event_id = e.id
+    WHERE ea.user_id = ? AND ea.removed_at IS NULL AND e.deleted_at IS NULL
+  `, [userId, userId]);
+
+  return members
+    .map(member => Number(member.member_id))
+    .filter(memberId => memberId !== Number(userId));
+};
+
+// Blocks the recurring daily range on each local date, including ranges that
+// started the evening before the first date
+const buildDailyBlocks = (range, firstDate, lastDate, timeZone, weekdays = null) => {
+  if (!range) {
+    return [];
+  }
+
+  const blocks = [];
+  for (let date = addCalendarDays(firstDate, -1); date <= lastDate; date = addCalendarDays(date, 1)) {
+    if (weekdays && !weekdays.includes(date.getUTCDay())) {
+      continue;
+    }
+    const endDate = range.end < range.start ? addCalendarDays(date, 1) : date;
+    blocks.push({
+      start_time: zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, range.start, 0, timeZone),
+      end_time: zonedTimeToUtc(endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate(), 0, range.end, 0, timeZone)
+    });
+  }
+  return blocks;
+};
+
+// Picks the longest window on each day, longest first, as respite or self-care slots
+const suggestRestSlots = (freeWindows, timeZone, limit) => {
+  const bestByDay = new Map();
+  freeWindows.forEach(window => {
+    const dateKey = formatDateKey(window.start_time, timeZone);
+    const current = bestByDay.get(dateKey);
+    if (!current || window.duration_minutes > current.duration_minutes) {
+      bestByDay.set(dateKey, window);
+    }
+  });
+
+  return [...bestByDay.values()]
+    .sort((a, b) => b.duration_minutes - a.duration_minutes)
+    .slice(0, limit)
+    .map(window => {
+      const isRespite = window.duration_minutes >= RESPITE_MIN_MINUTES;
+      const minutes = Math.min(window.duration_minutes, isRespite ? RESPITE_MAX_MINUTES : SELF_CARE_MAX_MINUTES);
+      return {
+        kind: isRespite ? 'respite' : 'self_care',
+        title: isRespite ? 'Respite break' : 'Time for me',
+        event_type: isRespite ? 'respite' : 'recreational',
+        start_time: window.start_time,
+        end_time: new Date(window.start_time.getTime() + minutes * 60000),
+        duration_minutes: minutes,
+        local_date: formatDateKey(window.start_time, timeZone)
+      };
+    })
+    .sort((a, b) => a.start_time - b.start_time);
+};
+
+// Find free windows and suggest respite and self-care slots
+app.get('/free-time', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    start_date, end_date, min_duration_minutes = DEFAULT_MIN_FREE_MINUTES,
+    sleep_hours, working_hours, working_days, include_care_team = 'false',
+    care_team_user_ids, suggestions = 5
+  } = req.query;
+  
+  const [users] = await mysqlConnection.execute(
+    'SELECT preferences FROM users WHERE id = ?',
+    [req.user.userId]
+  );
+  let preferences = {};
+  try {
+    preferences = JSON.parse((users.length > 0 && users[0].preferences) || '{}');
+  } catch (e) {
+    preferences = {};
+  }
+  
+  const timeZone = await getUserTimeZone(req.user.userId);
+  const firstDate = start_date ? parseCalendarDate(start_date, 'start date') : todayCalendarDate(timeZone);
+  const lastDate = end_date ? parseCalendarDate(end_date, 'end date') : addCalendarDays(firstDate, 6);
+  if (lastDate < firstDate || lastDate - firstDate >= MAX_FREE_TIME_DAYS * DAY_MS) {
+    throw new ValidationError(`Date range must cover between 1 and ${MAX_FREE_TIME_DAYS} days`);
+  }
+  
+  const minDuration = parseInt(min_duration_minutes);
+  if (isNaN(minDuration) || minDuration < 15 || minDuration > MAX_TEMPLATE_DURATION_MINUTES) {
+    throw new ValidationError(`Minimum duration must be between 15 and ${MAX_TEMPLATE_DURATION_MINUTES} minutes`);
+  }
+  
+  const suggestionLimit = parseInt(suggestions);
+  if (isNaN(suggestionLimit) || suggestionLimit < 0 || suggestionLimit > MAX_FREE_TIME_DAYS) {
+    throw new ValidationError(`Suggestions must be between 0 and ${MAX_FREE_TIME_DAYS}`);
+  }
+  
+  const workingPreference = preferences.working_hours || null;
+  const sleepRange = parseHoursRange(
+    sleep_hours !== undefined ? sleep_hours : (preferences.sleep_hours || DEFAULT_SLEEP_HOURS), 'sleep hours'
+  );
+  const workingRange = parseHoursRange(
+    working_hours !== undefined ? working_hours : workingPreference, 'working hours'
+  );
+  const workingWeekdays = parseWeekdayList(
+    working_days || (workingPreference && workingPreference.days) || DEFAULT_WORKING_DAYS
+  );
+  
+  // Care-team members may only be included when they share events with the user
+  let memberIds = [];
+  if (include_care_team === 'true') {
+    const careTeam = await getCareTeamIds(req.user.userId);
+    memberIds = careTeam;
+    if (care_team_user_ids) {
+      memberIds = String(care_team_user_ids).split(',').map(id => parseInt(id));
+      if (memberIds.some(memberId => !careTeam.includes(memberId))) {
+        throw new ValidationError('Care team members must share events with you');
+      }
+    }
+  }
+  
+  const windowStart = calendarDateToUtc(firstDate, timeZone);
+  const windowEnd = calendarDateToUtc(addCalendarDays(lastDate, 1), timeZone);
+  
+  // Only the busy times of other members are used, never their event details
+  const busy = [];
+  for (const userId of [req.user.userId, ...memberIds]) {
+    const occurrences = await getEventOccurrences(userId, {
+      rangeStart: new Date(windowStart.getTime() - DAY_MS),
+      rangeEnd: windowEnd,
+      includeDeclined: false
+    });
+    occurrences.forEach(occurrence => busy.push({
+      start_time: occurrence.start_time,
+      end_time: occurrence.end_time
+    }));
+  }
+  
+  busy.push(
+    ...buildDailyBlocks(sleepRange, firstDate, lastDate, timeZone),
+    ...buildDailyBlocks(workingRange, firstDate, lastDate, timeZone, workingWeekdays)
+  );
+  
+  // Time already past is never free
+  const searchStart = Math.max(windowStart.getTime(), Date.now());
+  const { free } = searchStart < windowEnd.getTime() ?
+    computeFreeBusy(busy, searchStart, windowEnd.getTime()) :
+    { free: [] };
+  const freeWindows = free
+    .filter(window => window.duration_minutes >= minDuration)
+    .map(window => ({ ...window, local_date: formatDateKey(window.start_time, timeZone) }));
+  
+  res.json({
+    time_zone: timeZone,
+    start_date: windowStart,
+    end_date: new Date(windowEnd.getTime() - 1),
+    constraints: {
+      min_duration_minutes: minDuration,
+      sleep_hours: sleepRange && { start: formatClockTime(sleepRange.start), end: formatClockTime(sleepRange.end) },
+      working_hours: workingRange && {
+        start: formatClockTime(workingRange.start),
+        end: formatClockTime(workingRange.end),
+        days: workingWeekdays.map(weekday => WEEKDAY_NAMES[weekday])
+      },
+      care_team_user_ids: memberIds
+    },
+    free_windows: freeWindows,
+    total_free_minutes: freeWindows.reduce((total, window) => total + window.duration_minutes, 0),
+    suggestions: suggestRestSlots(freeWindows, timeZone, suggestionLimit)
+  });
+}));
+
+// ===============================
+// PROVIDER DIRECTORY
+// ===============================
+
+// Providers belong to the user who added them and can be shared read-only with
+// other users through provider_shares. Appointments reference them by provider_id.
+const PROVIDER_COLUMNS = ['name', 'specialty', 'clinic', 'address', 'phone', 'email', 'notes'];
+
+// Loads a provider the user owns or has been shared, or null
+const getAccessibleProvider = async (providerId, userId) => {
+  const [providers] = await mysqlConnection.execute(`
+    SELECT p.*, (p.user_id = ?) as is_owner
+    FROM providers p
+    LEFT JOIN provider_shares ps ON ps.provider_id = p.id AND ps.user_id = ?
+    WHERE p.id = ? AND (p.user_id = ? OR ps.id IS NOT NULL) AND p.deleted_at IS NULL
+  `, [userId, userId, providerId, userId]);
+
+  return providers.length > 0 ? providers[0] : null;
+};
+
+// Resolves a provider_id into the event columns that reference it. The name and
+// contact are copied so feeds and reminders need no extra lookups.
+const getProviderFields = async (providerId, userId) => {
+  if (providerId === null || providerId === '') {
+    return { provider_id: null };
+  }
+
+  const provider = await getAccessibleProvider(parseInt(providerId), userId);
+  if (!provider) {
+    throw new ValidationError('Provider not found');
+  }
+
+  return {
+    provider_id: provider.id,
+    provider_name: provider.name,
+    provider_contact: [provider.phone, provider.email].filter(Boolean).join(' / ') || null
+  };
+};
+
+// Children must belong to the provider's owner
+const validateProviderChildren = async (childIds, userId) => {
+  if (!Array.isArray(childIds)) {
+    throw new ValidationError('Child IDs must be an array');
+  }
+
+  const validated = [];
+  for (const childId of childIds) {
+    validated.push(await validateChildId(childId, userId));
+  }
+  return [...new Set(validated)];
+};
+
+const setProviderChildren = async (connection, providerId, childIds) => {
+  await connection.execute('DELETE FROM provider_children WHERE provider_id = ?', [providerId]);
+  for (const childId of childIds) {
+    await connection.execute(
+      'INSERT INTO provider_children (provider_id, child_id, created_at) VALUES (?, ?, NOW())',
+      [providerId, childId]
+    );
+  }
+};
+
+const getProviderChildren = async (providerIds) => {
+  if (providerIds.length === 0) {
+    return [];
+  }
+
+  const [children] = await mysqlConnection.execute(`
+    SELECT pc.provider_id, c.id, c.name
+    FROM provider_children pc
+    JOIN children c ON pc.child_id = c.id
+    WHERE pc.provider_id IN (${providerIds.map(() => '?').join(', ')}) AND c.deleted_at IS NULL
+    ORDER BY c.name ASC
+  `, providerIds);
+
+  return children;
+};
+
+const formatProvider = (provider, children) => ({
+  ...provider,
+  is_owner: !!provider.is_owner,
+  children: children
+    .filter(child => child.provider_id === provider.id)
+    .map(child => ({ id: child.id, name: child.name }))
+});
+
+// Add a provider to the directory
+app.post('/providers', authenticateToken, asyncHandler(async (req, res) => {
+  const { child_ids = [] } = req.body;
+  
+  if (!req.body.name || req.body.name.trim().length === 0) {
+    throw new ValidationError('Provider name is required');
+  }
+  
+  const childIds = await validateProviderChildren(child_ids, req.user.userId);
+  const values = PROVIDER_COLUMNS.map(column =>
+    column === 'name' ? req.body.name.trim() : (req.body[column] || null)
+  );
+  
+  const connection = await mysqlConnection.getConnection();
+  let providerId;
+  
+  try {
+    await connection.beginTransaction();
+    
+    const [result] = await connection.execute(`
+      INSERT INTO providers (user_id, ${PROVIDER_COLUMNS.join(', ')}, created_at, updated_at)
+      VALUES (?, ${PROVIDER_COLUMNS.map(() => '?').join(', ')}, NOW(), NOW())
+    `, [req.user.userId, ...values]);
+    providerId = result.insertId;
+    
+    await setProviderChildren(connection, providerId, childIds);
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  res.status(201).json({
+    message: 'Provider created successfully',
+    providerId: providerId
+  });
+}));
+
+// Get providers the user owns or has been shared
+app.get('/providers', authenticateToken, asyncHandler(async (req, res) => {
+  const { search, specialty, child_id, include_shared = 'true' } = req.query;
+  
+  let query = `
+    SELECT DISTINCT p.*, (p.user_id = ?) as is_owner
+    FROM providers p
+    LEFT JOIN provider_shares ps ON ps.provider_id = p.id AND ps.user_id = ?
+    WHERE p.deleted_at IS NULL
+  `;
+  const params = [req.user.userId, req.user.userId];
+  
+  if (include_shared === 'false') {
+    query += ' AND p.user_id = ?';
+    params.push(req.user.userId);
+  } else {
+    query += ' AND (p.user_id = ? OR ps.id IS NOT NULL)';
+    params.push(req.user.userId);
+  }
+  
+  if (search) {
+    query += ' AND (p.name LIKE ? OR p.clinic LIKE ? OR p.specialty LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+  
+  if (specialty) {
+    query += ' AND p.specialty = ?';
+    params.push(specialty);
+  }
+  
+  if (child_id) {
+    query += ' AND EXISTS (SELECT 1 FROM provider_children pc WHERE pc.provider_id = p.id AND pc.child_id = ?)';
+    params.push(parseInt(child_id));
+  }
+  
+  query += ' ORDER BY p.name ASC';
+  
+  const [providers] = await mysqlConnection.execute(query, params);
+  const children = await getProviderChildren(providers.map(provider => provider.id));
+  
+  res.json({
+    providers: providers.map(provider => formatProvider(provider, children)),
+    count: providers.length
+  });
+}));
+
+// Get a specific provider
+app.get('/providers/:providerId', authenticateToken, asyncHandler(async (req, res) => {
+  const provider = await getAccessibleProvider(req.params.providerId, req.user.userId);
+  
+  if (!provider) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  const children = await getProviderChildren([provider.id]);
+  const result = formatProvider(provider, children);
+  
+  if (result.is_owner) {
+    const [shares] = await mysqlConnection.execute(`
+      SELECT u.id as user_id, u.name, u.email, ps.created_at
+      FROM provider_shares ps
+      JOIN users u ON ps.user_id = u.id
+      WHERE ps.provider_id = ?
+    `, [provider.id]);
+    result.shared_with = shares;
+  }
+  
+  res.json({ provider: result });
+}));
+
+// Update a provider (owner only)
+app.put('/providers/:providerId', authenticateToken, asyncHandler(async (req, res) => {
+  const provider = await getAccessibleProvider(req.params.providerId, req.user.userId);
+  
+  if (!provider || !provider.is_owner) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  const updateFields = [];
+  const updateValues = [];
+  
+  PROVIDER_COLUMNS.forEach(column => {
+    if (req.body[column] === undefined) {
+      return;
+    }
+    if (column === 'name' && (!req.body.name || req.body.name.trim().length === 0)) {
+      throw new ValidationError('Provider name cannot be empty');
+    }
+    updateFields.push(`${column} = ?`);
+    updateValues.push(column === 'name' ? req.body.name.trim() : (req.body[column] || null));
+  });
+  
+  const childIds = req.body.child_ids !== undefined ?
+    await validateProviderChildren(req.body.child_ids, req.user.userId) :
+    null;
+  
+  if (updateFields.length === 0 && childIds === null) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  
+  const connection = await mysqlConnection.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    updateFields.push('updated_at = NOW()');
+    await connection.execute(
+      `UPDATE providers SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateValues, provider.id]
+    );
+    
+    if (childIds !== null) {
+      await setProviderChildren(connection, provider.id, childIds);
+    }
+    
+    // Keep the copied name and contact on linked appointments current
+    if (req.body.name !== undefined || req.body.phone !== undefined || req.body.email !== undefined) {
+      const [updated] = await connection.execute('SELECT name, phone, email FROM providers WHERE id = ?', [provider.id]);
+      await connection.execute(`
+        UPDATE events SET provider_name = ?, provider_contact = ?, updated_at = NOW()
+        WHERE provider_id = ? AND deleted_at IS NULL
+      `, [
+        updated[0].name,
+        [updated[0].phone, updated[0].email].filter(Boolean).join(' / ') || null,
+        provider.id
+      ]);
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+  
+  res.json({
+    message: 'Provider updated successfully',
+    providerId: provider.id
+  });
+}));
+
+// Delete a provider (owner only). Appointments keep their copied provider details.
+app.delete('/providers/:providerId', authenticateToken, asyncHandler(async (req, res) => {
+  const [result] = await mysqlConnection.execute(`
+    UPDATE providers SET deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [req.params.providerId, req.user.userId]);
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  res.json({
+    message: 'Provider deleted successfully',
+    providerId: parseInt(req.params.providerId)
+  });
+}));
+
+// Share a provider with another user
+app.post('/providers/:providerId/shares', authenticateToken, asyncHandler(async (req, res) => {
+  const { user_id, email } = req.body;
+  const provider = await getAccessibleProvider(req.params.providerId, req.user.userId);
+  
+  if (!provider || !provider.is_owner) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  if (!user_id && !email) {
+    throw new ValidationError('User ID or email is required');
+  }
+  
+  const [users] = await mysqlConnection.execute(
+    `SELECT id FROM users WHERE ${user_id ? 'id' : 'email'} = ? AND deleted_at IS NULL`,
+    [user_id ? parseInt(user_id) : String(email).trim().toLowerCase()]
+  );
+  
+  if (users.length === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (Number(users[0].id) === Number(req.user.userId)) {
+    throw new ValidationError('You already own this provider');
+  }
+  
+  await mysqlConnection.execute(`
+    INSERT IGNORE INTO provider_shares (provider_id, user_id, created_at)
+    VALUES (?, ?, NOW())
+  `, [provider.id, users[0].id]);
+  
+  res.status(201).json({
+    message: 'Provider shared successfully',
+    providerId: provider.id,
+    userId: users[0].id
+  });
+}));
+
+// Stop sharing a provider. Owners may remove anyone; recipients may remove themselves.
+app.delete('/providers/:providerId/shares/:userId', authenticateToken, asyncHandler(async (req, res) => {
+  const provider = await getAccessibleProvider(req.params.providerId, req.user.userId);
+  const isSelf = Number(req.params.userId) === Number(req.user.userId);
+  
+  if (!provider || (!provider.is_owner && !isSelf)) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  const [result] = await mysqlConnection.execute(
+    'DELETE FROM provider_shares WHERE provider_id = ? AND user_id = ?',
+    [provider.id, req.params.userId]
+  );
+  
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Share not found' });
+  }
+  
+  res.json({
+    message: 'Provider share removed successfully',
+    providerId: provider.id,
+    userId: parseInt(req.params.userId)
+  });
+}));
+
+// Get the user's appointment history with a provider
+app.get('/providers/:providerId/appointments', authenticateToken, asyncHandler(async (req, res) => {
+  const provider = await getAccessibleProvider(req.params.providerId, req.user.userId);
+  
+  if (!provider) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  const now = new Date();
+  const appointments = await getEventOccurrences(req.user.userId, {
+    rangeEnd: new Date(now.getTime() + RECURRENCE_HORIZON_DAYS * DAY_MS),
+    eventType: 'appointment',
+    providerId: provider.id
+  });
+  
+  const past = appointments.filter(appointment => new Date(appointment.start_time) < now).reverse();
+  const upcoming = appointments.filter(appointment => new Date(appointment.start_time) >= now);
+  
+  res.json({
+    provider: { id: provider.id, name: provider.name, specialty: provider.specialty, clinic: provider.clinic },
+    past: past,
+    upcoming: upcoming,
+    total_past: past.length,
+    total_upcoming: upcoming.length,
+    last_visit: past.length > 0 ? past[0].start_time : null,
+    next_visit: upcoming.length > 0 ? upcoming[0].start_time : null
+  });
+}));
+
+// ===============================
+// APPOINTMENT MANAGEMENT
+// ===============================
+
+const APPOINTMENT_TYPES = [
+  'medical', 'therapy', 'dental', 'vision', 'hearing', 'psychiatric',
+  'educational', 'assessment', 'consultation', 'follow_up', 'other'
+];
+
+// Create an appointment (special type of event)
+app.post('/appointments', authenticateToken, asyncHandler(async (req, res) => {
+  const { 
+    title, description, start_time, end_time, location,
+    provider_id, provider_name, provider_contact, appointment_type,
+    child_id, notes, reminder_minutes = 30, force, travel_buffer_minutes
+  } = req.body;
+  
+  if (!title || !start_time || !appointment_type) {
+    throw new ValidationError('Title, start time, and appointment type are required');
+  }
+  
+  const startTime = parseDateTime(start_time);
+  const endTime = end_time ? parseDateTime(end_time) : null;
+  
+  if (!APPOINTMENT_TYPES.includes(appointment_type)) {
+    throw new ValidationError('Invalid appointment type');
+  }
+  
+  if (endTime && endTime <= startTime) {
+    throw new ValidationError('End time must be after start time');
+  }
+  
+  const childId = await validateChildId(child_id, req.user.userId);
+  
+  // Directory providers take precedence over the free-text provider fields
+  const provider = provider_id ?
+    await getProviderFields(provider_id, req.user.userId) :
+    { provider_id: null, provider_name: provider_name || null, provider_contact: provider_contact || null };
+  
+  const conflicts = await findConflicts(req.user.userId, {
+    title: title.trim(),
+    event_type: 'appointment',
+    start_time: startTime,
+    end_time: endTime
+  }, { bufferMinutes: parseTravelBuffer(travel_buffer_minutes) });
+  
+  if (conflicts.length > 0 && !parseBooleanFlag(force, 'force')) {
+    return res.status(409).json({
+      error: 'Scheduling conflict',
+      conflicts: conflicts
+    });
+  }
+  
+  // Create as an event with appointment-specific fields
+  const [result] = await mysqlConnection.execute(`
+    INSERT INTO events (
+      user_id, title, description, event_type, start_time, end_time,
+      location, provider_id, provider_name, provider_contact, appointment_type,
+      child_id, notes, reminder_minutes, created_at, updated_at
+    ) VALUES (?, ?, ?, 'appointment', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+  `, [
+    req.user.userId, title.trim(), description || null, startTime, endTime,
+    location || null, provider.provider_id, provider.provider_name, provider.provider_contact,
+    appointment_type, childId, notes || null, parseInt(reminder_minutes)
+  ]);
+  
+  const appointmentId = result.insertId;
+  
+  res.status(201).json({
+    message: 'Appointment created successfully',
+    appointmentId: appointmentId,
+    startTime: startTime,
+    conflicts: conflicts
+  });
+}));
+
+// Get appointments
+app.get('/appointments', authenticateToken, asyncHandler(async (req, res) => {
+  const { 
+    start_date, end_date, appointment_type, child_id, provider_id,
+    include_past = 'false', limit = 30
+  } = req.query;
+  
+  let rangeStart = start_date ? parseDateTime(start_date) : null;
+  const rangeEnd = end_date ? parseDateTime(end_date) : null;
+  
+  // Don't include past appointments unless requested
+  if (include_past === 'false') {
+    const now = new Date();
+    rangeStart = rangeStart && rangeStart > now ? rangeStart : now;
+  }
+  
+  const appointments = await getEventOccurrences(req.user.userId, {
+    rangeStart,
+    rangeEnd,
+    eventType: 'appointment',
+    appointmentType: appointment_type,
+    childId: child_id,
+    providerId: provider_id,
+    limit: parseListLimit(limit, 30)
+  });
+  await attachOutcomes(appointments);
+  
+  res.json({
+    appointments: appointments,
+    count: appointments.length
+  });
+}));
+
+// ===============================
+// APPOINTMENT OUTCOMES
+// ===============================
+
+// One outcome per appointment occurrence, keyed by its original start time
+// (the event start for single appointments)
+const OUTCOME_STATUSES = ['attended', 'missed', 'cancelled'];
+const PRESCRIPTION_CHANGE_TYPES = ['started', 'stopped', 'adjusted'];
+const MAX_OUTCOME_TASKS = 20;
+
+const parsePrescriptionChanges = (value) => {
+  if (!Array.isArray(value)) {
+    throw new ValidationError('Prescription changes must be an array');
+  }
+
+  return value.map(change => {
+    if (!change || !change.medication || !PRESCRIPTION_CHANGE_TYPES.includes(change.change)) {
+      throw new ValidationError(
+        `Each prescription change needs a medication and a change of: ${PRESCRIPTION_CHANGE_TYPES.join(', ')}`
+      );
+    }
+    return {
+      medication: String(change.medication).trim(),
+      change: change.change,
+      details: change.details ? String(change.details).trim() : null
+    };
+  });
+};
+
+const parseOutcomeTasks = (value) => {
+  if (!Array.isArray(value) || value.length > MAX_OUTCOME_TASKS) {
+    throw new ValidationError(`Tasks must be an array of at most ${MAX_OUTCOME_TASKS} items`);
+  }
+
+  return value.map(task => {
+    if (!task || !task.title || String(task.title).trim().length === 0) {
+      throw new ValidationError('Each task needs a title');
+    }
+    return {
+      title: String(task.title).trim(),
+      notes: task.notes || null,
+      due_date: task.due_date ? parseDateTime(task.due_date) : null
+    };
+  });
+};
+
+const formatOutcome = (outcome) => {
+  let prescriptionChanges = [];
+  try {
+    prescriptionChanges = JSON.parse(outcome.prescription_changes || '[]');
+  } catch (e) {
+    prescriptionChanges = [];
+  }
+  return { ...outcome, prescription_changes: prescriptionChanges };
+};
+
+// Resolves which occurrence of an appointment an outcome belongs to
+const resolveOutcomeOccurrence = (event, occurrenceStartParam) => {
+  if (!isRecurringEvent(event)) {
+    return new Date(event.start_time);
+  }
+
+  if (!occurrenceStartParam) {
+    throw new ValidationError('Occurrence start is required for recurring appointments');
+  }
+
+  const occurrenceStart = parseDateTime(occurrenceStartParam);
+  if (!isOccurrenceOf(event, occurrenceStart)) {
+    throw new ValidationError('Occurrence not found');
+  }
+  return occurrenceStart;
+};
+
+const getAppointmentOutcome = async (eventId, occurrenceStart) => {
+  const [outcomes] = await mysqlConnection.execute(`
+    SELECT * FROM appointment_outcomes
+    WHERE event_id = ? AND occurrence_start = ?
+  `, [eventId, occurrenceStart]);
+
+  if (outcomes.length === 0) {
+    return null;
+  }
+
+  const [tasks] = await mysqlConnection.execute(`
+    SELECT id, title, notes, due_date, completed_at
+    FROM event_tasks
+    WHERE outcome_id = ? AND deleted_at IS NULL
+    ORDER BY due_date IS NULL, due_date ASC
+  `, [outcomes[0].id]);
+
+  return { ...formatOutcome(outcomes[0]), tasks };
+};
+
+// Adds the recorded outcome, if any, to each appointment occurrence in a listing
+const attachOutcomes = async (appointments) => {
+  const eventIds = [...new Set(appointments.map(appointment => appointment.id))];
+  if (eventIds.length === 0) {
+    return;
+  }
+
+  const [outcomes] = await mysqlConnection.execute(`
+    SELECT * FROM appointment_outcomes
+    WHERE event_id IN (${eventIds.map(() => '?').join(', ')})
+  `, eventIds);
+
+  const outcomesByKey = new Map(outcomes.map(outcome => [
+    `${outcome.event_id}_${new Date(outcome.occurrence_start).getTime()}`, formatOutcome(outcome)
+  ]));
+
+  appointments.forEach(appointment => {
+    const occurrenceStart = appointment.original_start_time || appointment.start_time;
+    appointment.outcome = appointment.details_hidden ? null :
+      outcomesByKey.get(`${appointment.id}_${new Date(occurrenceStart).getTime()}`) || null;
+  });
+};
+
+// Record (or replace) the outcome of an appointment, optionally booking a
+// follow-up appointment and creating follow-up tasks. When replacing, a given
+// follow_up moves the existing follow-up appointment (follow_up: null cancels
+// it) and a given tasks list replaces the outcome's tasks; omitted, both stay.
+app.put('/appointments/:eventId/outcome', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    occurrence_start, status, summary, instructions, prescription_changes = [],
+    next_steps, follow_up, tasks
   } = req.body;
   
-  if (!title || !event_type || !start_time) {
-    throw new ValidationError('Title, event type, and start time are required');
+  const event = await getAccessibleEvent(req.params.eventId, req.user.userId, { requireEdit: true });
+  if (!event || event.event_type !== 'appointment') {
+    return res.status(404).json({ error: 'Appointment not found' });
   }
   
-  const validatedEventType = validateEventType(event_type);
-  const startTime = parseDateTime(start_time);
-  const endTime = end_time ? parseDateTime(end_time) : null;
+  if (!OUTCOME_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status. Must be one of: ${OUTCOME_STATUSES.join(', ')}`);
+  }
   
-  // Validate end time if provided
-  if (endTime && endTime <= startTime) {
-    throw new ValidationError('End time must be after start time');
+  const occurrenceStart = resolveOutcomeOccurrence(event, occurrence_start);
+  if (status !== 'cancelled' && occurrenceStart > new Date()) {
+    throw new ValidationError('Only past appointments can be marked attended or missed');
   }
   
-  // Validate reminder minutes
-  const reminderMins = reminder_minutes ? parseInt(reminder_minutes) : 15;
-  if (isNaN(reminderMins) || reminderMins < 0) {
-    throw new ValidationError('Reminder minutes must be a positive number');
+  const prescriptionChanges = parsePrescriptionChanges(prescription_changes);
+  const parsedTasks = tasks !== undefined ? parseOutcomeTasks(tasks) : null;
+  const previousOutcome = await getAppointmentOutcome(event.id, occurrenceStart);
+  
+  // The follow-up inherits provider, child and type from this appointment
+  let followUp = null;
+  let conflicts = [];
+  if (follow_up) {
+    if (!follow_up.start_time) {
+      throw new ValidationError('Follow-up start time is required');
+    }
+    const startTime = parseDateTime(follow_up.start_time);
+    const durationMs = event.end_time ? new Date(event.end_time) - new Date(event.start_time) : null;
+    const endTime = follow_up.end_time ? parseDateTime(follow_up.end_time) :
+      (durationMs !== null ? new Date(startTime.getTime() + durationMs) : null);
+    
+    if (startTime <= occurrenceStart) {
+      throw new ValidationError('Follow-up must be after the appointment');
+    }
+    if (endTime && endTime <= startTime) {
+      throw new ValidationError('End time must be after start time');
+    }
+    
+    followUp = {
+      title: (follow_up.title || `Follow-up: ${event.title}`).trim(),
+      start_time: startTime,
+      end_time: endTime,
+      notes: follow_up.notes || next_steps || null
+    };
+    conflicts = await findConflicts(event.user_id, { ...followUp, event_type: 'appointment' }, {
+      excludeEventId: previousOutcome ? previousOutcome.follow_up_event_id : null
+    });
   }
   
-  const [result] = await mysqlConnection.execute(`
-    INSERT INTO events (
-      user_id, title, description, event_type, start_time, end_time,
-      location, is_recurring, recurrence_pattern, reminder_minutes,
-      child_id, notes, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
-  `, [
-    req.user.userId, title.trim(), description || null, validatedEventType,
-    startTime, endTime, location || null, !!is_recurring, recurrence_pattern || null,
-    reminderMins, child_id || null, notes || null
-  ]);
+  const connection = await mysqlConnection.getConnection();
+  let outcomeId;
+  let followUpEventId = null;
   
-  const eventId = result.insertId;
+  try {
+    await connection.beginTransaction();
+    
+    const [existing] = await connection.execute(
+      'SELECT id, follow_up_event_id FROM appointment_outcomes WHERE event_id = ? AND occurrence_start = ? FOR UPDATE',
+      [event.id, occurrenceStart]
+    );
+    const previousFollowUpId = existing.length > 0 ? existing[0].follow_up_event_id : null;
+    followUpEventId = previousFollowUpId;
+    
+    // Move the follow-up already booked for this outcome, if it is still there
+    if (followUp && previousFollowUpId) {
+      const [updated] = await connection.execute(`
+        UPDATE events
+        SET title = ?, start_time = ?, end_time = ?, notes = ?, updated_at = NOW()
+        WHERE id = ? AND deleted_at IS NULL
+      `, [followUp.title, followUp.start_time, followUp.end_time, followUp.notes, previousFollowUpId]);
+      if (updated.affectedRows === 0) {
+        followUpEventId = null;
+      }
+    } else if (follow_up === null && previousFollowUpId) {
+      await connection.execute(
+        'UPDATE events SET deleted_at = NOW(), updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+        [previousFollowUpId]
+      );
+      followUpEventId = null;
+    }
+    
+    if (followUp && !followUpEventId) {
+      const [result] = await connection.execute(`
+        INSERT INTO events (
+          user_id, title, event_type, start_time, end_time, location,
+          provider_id, provider_name, provider_contact, appointment_type,
+          child_id, notes, reminder_minutes, time_zone, created_at, updated_at
+        ) VALUES (?, ?, 'appointment', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `, [
+        event.user_id, followUp.title, followUp.start_time, followUp.end_time, event.location,
+        event.provider_id || null, event.provider_name, event.provider_contact, 'follow_up',
+        event.child_id, followUp.notes, event.reminder_minutes, event.time_zone || null
+      ]);
+      followUpEventId = result.insertId;
+    }
+    
+    const values = [
+      status, summary || null, instructions || null, JSON.stringify(prescriptionChanges),
+      next_steps || null, followUpEventId
+    ];
+    
+    if (existing.length > 0) {
+      outcomeId = existing[0].id;
+      await connection.execute(`
+        UPDATE appointment_outcomes
+        SET status = ?, summary = ?, instructions = ?, prescription_changes = ?, next_steps = ?,
+            follow_up_event_id = ?, recorded_by = ?, updated_at = NOW()
+        WHERE id = ?
+      `, [...values, req.user.userId, outcomeId]);
+    } else {
+      const [result] = await connection.execute(`
+        INSERT INTO appointment_outcomes (
+          event_id, occurrence_start, status, summary, instructions, prescription_changes,
+          next_steps, follow_up_event_id, recorded_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `, [event.id, occurrenceStart, ...values, req.user.userId]);
+      outcomeId = result.insertId;
+    }
+    
+    // A new task list replaces the outcome's previous tasks
+    if (parsedTasks && existing.length > 0) {
+      await connection.execute(
+        'UPDATE event_tasks SET deleted_at = NOW(), updated_at = NOW() WHERE outcome_id = ? AND deleted_at IS NULL',
+        [outcomeId]
+      );
+    }
+    
+    for (const task of parsedTasks || []) {
+      await connection.execute(`
+        INSERT INTO event_tasks (
+          user_id, event_id, outcome_id, title, notes, due_date, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `, [event.user_id, event.id, outcomeId, task.title, task.notes, task.due_date]);
+    }
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
   
-  res.status(201).json({
-    message: 'Event created successfully',
-    eventId: eventId,
-    startTime: startTime
+  res.json({
+    message: 'Appointment outcome recorded successfully',
+    outcomeId: outcomeId,
+    eventId: event.id,
+    occurrenceStart: occurrenceStart,
+    followUpEventId: followUpEventId,
+    tasksCreated: parsedTasks ? parsedTasks.length : 0,
+    conflicts: conflicts
   });
 }));
 
-// Get events for a user
-app.get('/events', authenticateToken, asyncHandler(async (req, res) => {
-  const { 
-    start_date, end_date, event_type, child_id, 
-    include_past = 'false', limit = 50 
-  } = req.query;
+// Get the recorded outcome of an appointment
+app.get('/appointments/:eventId/outcome', authenticateToken, asyncHandler(async (req, res) => {
+  const event = await getAccessibleEvent(req.params.eventId, req.user.userId);
+  if (!event || event.event_type !== 'appointment' || event.details_hidden) {
+    return res.status(404).json({ error: 'Appointment not found' });
+  }
   
-  let query = `
-    SELECT e.*, u.name as user_name, c.name as child_name
-    FROM events e
-    LEFT JOIN users u ON e.user_id = u.id
-    LEFT JOIN children c ON e.child_id = c.id
-    WHERE e.user_id = ? AND e.deleted_at IS NULL
-  `;
-  const params = [req.user.userId];
+  const occurrenceStart = resolveOutcomeOccurrence(event, req.query.occurrence_start);
+  const outcome = await getAppointmentOutcome(event.id, occurrenceStart);
   
-  // Date filtering
-  if (start_date) {
-    query += ' AND e.start_time >= ?';
-    params.push(parseDateTime(start_date));
+  if (!outcome) {
+    return res.status(404).json({ error: 'No outcome recorded' });
   }
   
-  if (end_date) {
-    query += ' AND e.start_time <= ?';
-    params.push(parseDateTime(end_date));
-  }
+  res.json({ outcome });
+}));
+
+// ===============================
+// FOLLOW-UP TASKS
+// ===============================
+
+// Get the current user's follow-up tasks
+app.get('/tasks', authenticateToken, asyncHandler(async (req, res) => {
+  const { status = 'open', event_id } = req.query;
   
-  // Don't include past events unless requested
-  if (include_past === 'false') {
-    query += ' AND e.start_time >= NOW()';
-  }
+  let query = `
+    SELECT t.*, e.title as appointment_title, e.start_time as appointment_start_time
+    FROM event_tasks t
+    LEFT JOIN events e ON t.event_id = e.id
+    WHERE t.user_id = ? AND t.deleted_at IS NULL
+  `;
+  const params = [req.user.userId];
   
-  // Event type filter
-  if (event_type) {
-    query += ' AND e.event_type = ?';
-    params.push(event_type);
+  if (status === 'open') {
+    query += ' AND t.completed_at IS NULL';
+  } else if (status === 'completed') {
+    query += ' AND t.completed_at IS NOT NULL';
+  } else if (status !== 'all') {
+    throw new ValidationError('Invalid status. Use open, completed or all');
   }
   
-  // Child filter
-  if (child_id) {
-    query += ' AND e.child_id = ?';
-    params.push(parseInt(child_id));
+  if (event_id) {
+    query += ' AND t.event_id = ?';
+    params.push(parseInt(event_id));
   }
   
-  query += ' ORDER BY e.start_time ASC LIMIT ?';
-  params.push(parseInt(limit));
+  query += ' ORDER BY t.due_date IS NULL, t.due_date ASC, t.created_at ASC';
   
-  const [events] = await mysqlConnection.execute(query, params);
+  const [tasks] = await mysqlConnection.execute(query, params);
   
   res.json({
-    events: events,
-    count: events.length
+    tasks: tasks,
+    count: tasks.length
   });
 }));
 
-// Get a specific event
-app.get('/events/:eventId', authenticateToken, asyncHandler(async (req, res) => {
-  const { eventId } = req.params;
-  
-  const [events] = await mysqlConnection.execute(`
-    SELECT e.*, u.name as user_name, c.name as child_name
-    FROM events e
-    LEFT JOIN users u ON e.user_id = u.id
-    LEFT JOIN children c ON e.child_id = c.id
-    WHERE e.id = ? AND e.user_id = ? AND e.deleted_at IS NULL
-  `, [eventId, req.user.userId]);
-  
-  if (events.length === 0) {
-    return res.status(404).json({ error: 'Event not found' });
-  }
-  
-  res.json({ event: events[0] });
-}));
-
-// Update an event
-app.put('/events/:eventId', authenticateToken, asyncHandler(async (req, res) => {
-  const { eventId } = req.params;
-  const { 
-    title, description, event_type, start_time, end_time, 
-    location, is_recurring, recurrence_pattern, reminder_minutes,
-    child_id, notes 
-  } = req.body;
-  
-  // Check if event exists and belongs to user
-  const [existingEvents] = await mysqlConnection.execute(`
-    SELECT id FROM events 
-    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
-  `, [eventId, req.user.userId]);
-  
-  if (existingEvents.length === 0) {
-    return res.status(404).json({ error: 'Event not found' });
-  }
+// Update or complete a task
+app.put('/tasks/:taskId', authenticateToken, asyncHandler(async (req, res) => {
+  const { title, notes, due_date, completed } = req.body;
   
-  // Build update query dynamically
   const updateFields = [];
-  const params = [];
+  const updateValues = [];
   
   if (title !== undefined) {
+    if (!title || title.trim().length === 0) {
+      throw new ValidationError('Task title cannot be empty');
+    }
     updateFields.push('title = ?');
-    params.push(title.trim());
+    updateValues.push(title.trim());
   }
   
-  if (description !== undefined) {
-    updateFields.push('description = ?');
-    params.push(description || null);
+  if (notes !== undefined) {
+    updateFields.push('notes = ?');
+    updateValues.push(notes || null);
   }
   
-  if (event_type !== undefined) {
-    updateFields.push('event_type = ?');
-    params.push(validateEventType(event_type));
+  if (due_date !== undefined) {
+    updateFields.push('due_date = ?');
+    updateValues.push(due_date ? parseDateTime(due_date) : null);
   }
   
-  if (start_time !== undefined) {
-    const startTime = parseDateTime(start_time);
-    updateFields.push('start_time = ?');
-    params.push(startTime);
+  if (completed !== undefined) {
+    updateFields.push(completed ? 'completed_at = COALESCE(completed_at, NOW())' : 'completed_at = NULL');
   }
   
-  if (end_time !== undefined) {
-    const endTime = end_time ? parseDateTime(end_time) : null;
-    updateFields.push('end_time = ?');
-    params.push(endTime);
+  if (updateFields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
   }
   
-  if (location !== undefined) {
-    updateFields.push('location = ?');
-    params.push(location || null);
-  }
+  updateFields.push('updated_at = NOW()');
+  updateValues.push(req.params.taskId, req.user.userId);
   
-  if (is_recurring !== undefined) {
-    updateFields.push('is_recurring = ?');
-    params.push(!!is_recurring);
-  }
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_tasks SET ${updateFields.join(', ')}
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, updateValues);
   
-  if (recurrence_pattern !== undefined) {
-    updateFields.push('recurrence_pattern = ?');
-    params.push(recurrence_pattern || null);
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Task not found' });
   }
   
-  if (reminder_minutes !== undefined) {
-    const reminderMins = parseInt(reminder_minutes);
-    if (isNaN(reminderMins) || reminderMins < 0) {
-      throw new ValidationError('Reminder minutes must be a positive number');
-    }
-    updateFields.push('reminder_minutes = ?');
-    params.push(reminderMins);
-  }
+  res.json({
+    message: 'Task updated successfully',
+    taskId: parseInt(req.params.taskId)
+  });
+}));
+
+// Delete a task
+app.delete('/tasks/:taskId', authenticateToken, asyncHandler(async (req, res) => {
+  const [result] = await mysqlConnection.execute(`
+    UPDATE event_tasks SET deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [req.params.taskId, req.user.userId]);
   
-  if (child_id !== undefined) {
-    updateFields.push('child_id = ?');
-    params.push(child_id || null);
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Task not found' });
   }
   
-  if (notes !== undefined) {
-    updateFields.push('notes = ?');
-    params.push(notes || null);
+  res.json({
+    message: 'Task deleted successfully',
+    taskId: parseInt(req.params.taskId)
+  });
+}));
+
+// ===============================
+// PROFESSIONAL AVAILABILITY AND BOOKING
+// ===============================
+
+// Counselors and therapists publish weekly availability that caregivers book into.
+// A booking creates one appointment event owned by the caregiver, with the
+// professional attached as an attendee so it shows on both calendars.
+const PROFESSIONAL_ROLES = ['counselor', 'therapist'];
+const BOOKING_DEFAULTS = {
+  slot_minutes: 50,
+  min_notice_hours: 24,
+  cancellation_notice_hours: 24,
+  max_advance_days: 60
+};
+const MAX_SLOT_QUERY_DAYS = 31;
+
+const requireProfessional = (req, res, next) => {
+  if (!PROFESSIONAL_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Professional access required' });
   }
-  
-  if (updateFields.length === 0) {
-    return res.status(400).json({ error: 'No fields to update' });
+  next();
+};
+
+// Parses a 'HH:MM' wall-clock time into minutes after midnight
+const parseClockTime = (value, fieldName) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+
+  if (isNaN(minutes) || parseInt(match[2]) > 59 || minutes > 24 * 60) {
+    throw new ValidationError(`Invalid ${fieldName}. Use HH:MM`);
   }
-  
-  updateFields.push('updated_at = NOW()');
-  params.push(eventId);
-  
-  await mysqlConnection.execute(`
-    UPDATE events SET ${updateFields.join(', ')} WHERE id = ?
-  `, params);
+  return minutes;
+};
+
+const formatClockTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const parseBookingSetting = (value, fieldName, min, max) => {
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    throw new ValidationError(`${fieldName} must be between ${min} and ${max}`);
+  }
+  return parsed;
+};
+
+const getProfessional = async (professionalId) => {
+  const [users] = await mysqlConnection.execute(`
+    SELECT id, name, email, role FROM users
+    WHERE id = ? AND role IN (${PROFESSIONAL_ROLES.map(() => '?').join(', ')}) AND deleted_at IS NULL
+  `, [professionalId, ...PROFESSIONAL_ROLES]);
+
+  return users.length > 0 ? users[0] : null;
+};
+
+const getBookingSettings = async (professionalId) => {
+  const [settings] = await mysqlConnection.execute(`
+    SELECT slot_minutes, min_notice_hours, cancellation_notice_hours, max_advance_days
+    FROM professional_booking_settings WHERE professional_id = ?
+  `, [professionalId]);
+
+  return settings.length > 0 ? settings[0] : { ...BOOKING_DEFAULTS };
+};
+
+const getAvailability = async (professionalId) => {
+  const [windows] = await mysqlConnection.execute(`
+    SELECT id, weekday, start_minute, end_minute, location
+    FROM professional_availability
+    WHERE professional_id = ?
+    ORDER BY weekday ASC, start_minute ASC
+  `, [professionalId]);
+
+  return windows;
+};
+
+const getAvailabilityExceptions = async (professionalId, startDate, endDate) => {
+  const [exceptions] = await mysqlConnection.execute(`
+    SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, start_minute, end_minute, is_available, reason
+    FROM availability_exceptions
+    WHERE professional_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date ASC, start_minute ASC
+  `, [professionalId, calendarDateKey(startDate), calendarDateKey(endDate)]);
+
+  return exceptions;
+};
+
+// Adds HH:MM start/end times to availability windows and exceptions
+const formatAvailabilityTimes = (entry) => ({
+  ...entry,
+  start_time: entry.start_minute === null ? null : formatClockTime(entry.start_minute),
+  end_time: entry.end_minute === null ? null : formatClockTime(entry.end_minute)
+});
+
+// Computes bookable slots between two calendar dates (inclusive) in the
+// professional's time zone. Weekly windows are cut into slots; blocking
+// exceptions remove time, available exceptions add extra windows, and anything
+// overlapping the professional's calendar or an existing booking is dropped.
+const getOpenSlots = async (professionalId, firstDate, lastDate) => {
+  const timeZone = await getUserTimeZone(professionalId);
+  const settings = await getBookingSettings(professionalId);
+  const windows = await getAvailability(professionalId);
+  const exceptions = await getAvailabilityExceptions(professionalId, firstDate, lastDate);
+
+  const now = Date.now();
+  const earliest = now + settings.min_notice_hours * 60 * 60 * 1000;
+  const latest = now + settings.max_advance_days * DAY_MS;
+  const slotMs = settings.slot_minutes * 60000;
+
+  const candidates = [];
+  for (let date = firstDate; date <= lastDate; date = addCalendarDays(date, 1)) {
+    const dateKey = calendarDateKey(date);
+    const dayExceptions = exceptions.filter(exception => exception.date === dateKey);
+    const toInstant = (minutes) => zonedTimeToUtc(
+      date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, minutes, 0, timeZone
+    ).getTime();
+
+    const dayWindows = windows
+      .filter(window => window.weekday === date.getUTCDay())
+      .concat(dayExceptions.filter(exception => exception.is_available && exception.start_minute !== null));
+    const blocked = dayExceptions
+      .filter(exception => !exception.is_available)
+      .map(exception => ({
+        start: toInstant(exception.start_minute === null ? 0 : exception.start_minute),
+        end: toInstant(exception.end_minute === null ? 24 * 60 : exception.end_minute)
+      }));
+
+    dayWindows.forEach(window => {
+      const windowEnd = toInstant(window.end_minute);
+      for (let start = toInstant(window.start_minute); start + slotMs <= windowEnd; start += slotMs) {
+        const slot = { start, end: start + slotMs, location: window.location || null };
+        if (!blocked.some(block => intervalsConflict(slot, block, 0))) {
+          candidates.push(slot);
+        }
+      }
+    });
+  }
+
+  const rangeStart = zonedTimeToUtc(firstDate.getUTCFullYear(), firstDate.getUTCMonth(), firstDate.getUTCDate(), 0, 0, 0, timeZone);
+  const rangeEnd = zonedTimeToUtc(lastDate.getUTCFullYear(), lastDate.getUTCMonth(), lastDate.getUTCDate() + 1, 0, 0, 0, timeZone);
+  const busy = (await getEventOccurrences(professionalId, {
+    rangeStart: new Date(rangeStart.getTime() - DAY_MS),
+    rangeEnd,
+    includeDeclined: false
+  })).map(getOccurrenceInterval);
+
+  const [bookings] = await mysqlConnection.execute(`
+    SELECT start_time, end_time FROM appointment_bookings
+    WHERE professional_id = ? AND status = 'booked' AND start_time < ? AND end_time > ?
+  `, [professionalId, rangeEnd, rangeStart]);
+  bookings.forEach(booking => busy.push(getOccurrenceInterval(booking)));
+
+  const seen = new Set();
+  const slots = candidates
+    .filter(slot => slot.start >= earliest && slot.start <= latest)
+    .filter(slot => !busy.some(interval => intervalsConflict(slot, interval, 0)))
+    .filter(slot => !seen.has(slot.start) && seen.add(slot.start))
+    .sort((a, b) => a.start - b.start)
+    .map(slot => ({
+      start_time: new Date(slot.start),
+      end_time: new Date(slot.end),
+      local_date: formatDateKey(slot.start, timeZone),
+      location: slot.location
+    }));
+
+  return { slots, timeZone, settings };
+};
+
+// Checks that a requested start time is one of the professional's open slots
+const findOpenSlot = async (professionalId, startTime) => {
+  const timeZone = await getUserTimeZone(professionalId);
+  const date = parseCalendarDate(formatDateKey(startTime, timeZone), 'date');
+  const { slots, settings } = await getOpenSlots(professionalId, date, date);
+
+  return {
+    slot: slots.find(candidate => candidate.start_time.getTime() === startTime.getTime()) || null,
+    settings
+  };
+};
+
+const getBooking = async (bookingId, userId) => {
+  const [bookings] = await mysqlConnection.execute(`
+    SELECT * FROM appointment_bookings
+    WHERE id = ? AND (caregiver_id = ? OR professional_id = ?)
+  `, [bookingId, userId, userId]);
+
+  return bookings.length > 0 ? bookings[0] : null;
+};
+
+// Caregivers must respect the professional's notice window; professionals may
+// change their own bookings at any time
+const checkBookingNotice = (booking, userId, settings, action) => {
+  if (Number(booking.professional_id) === Number(userId)) {
+    return;
+  }
+
+  const noticeMs = settings.cancellation_notice_hours * 60 * 60 * 1000;
+  if (new Date(booking.start_time).getTime() - Date.now() < noticeMs) {
+    throw new ValidationError(
+      `Appointments can only be ${action} at least ${settings.cancellation_notice_hours} hours in advance`
+    );
+  }
+};
+
+// Get the current professional's availability and booking settings
+app.get('/availability', authenticateToken, requireProfessional, asyncHandler(async (req, res) => {
+  const today = todayCalendarDate(await getUserTimeZone(req.user.userId));
+  const windows = await getAvailability(req.user.userId);
+  const exceptions = await getAvailabilityExceptions(req.user.userId, today, addCalendarDays(today, 365));
   
   res.json({
-    message: 'Event updated successfully',
-    eventId: parseInt(eventId)
+    windows: windows.map(window => ({ ...formatAvailabilityTimes(window), weekday: WEEKDAY_NAMES[window.weekday] })),
+    exceptions: exceptions.map(formatAvailabilityTimes),
+    settings: await getBookingSettings(req.user.userId)
   });
 }));
 
-// Delete an event
-app.delete('/events/:eventId', authenticateToken, asyncHandler(async (req, res) => {
-  const { eventId } = req.params;
+// Replace the current professional's weekly availability and booking settings
+app.put('/availability', authenticateToken, requireProfessional, asyncHandler(async (req, res) => {
+  const { windows, ...settingsInput } = req.body;
   
-  const [result] = await mysqlConnection.execute(`
-    UPDATE events 
-    SET deleted_at = NOW(), updated_at = NOW()
-    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
-  `, [eventId, req.user.userId]);
+  if (!Array.isArray(windows)) {
+    throw new ValidationError('Windows must be an array');
+  }
   
-  if (result.affectedRows === 0) {
-    return res.status(404).json({ error: 'Event not found' });
+  const parsedWindows = windows.map(window => {
+    const weekday = WEEKDAY_NAMES.indexOf(String(window.weekday).toLowerCase());
+    if (weekday === -1) {
+      throw new ValidationError(`Invalid weekday. Use one of: ${WEEKDAY_NAMES.join(', ')}`);
+    }
+    
+    const startMinute = parseClockTime(window.start_time, 'start time');
+    const endMinute = parseClockTime(window.end_time, 'end time');
+    if (endMinute <= startMinute) {
+      throw new ValidationError('Availability end time must be after start time');
+    }
+    
+    return [weekday, startMinute, endMinute, window.location || null];
+  });
+  
+  // Settings left out of the request keep their current values
+  const current = await getBookingSettings(req.user.userId);
+  const setting = (field, label, min, max) => parseBookingSetting(
+    settingsInput[field] !== undefined ? settingsInput[field] : current[field], label, min, max
+  );
+  const settings = {
+    slot_minutes: setting('slot_minutes', 'Slot minutes', 10, 480),
+    min_notice_hours: setting('min_notice_hours', 'Minimum notice hours', 0, 336),
+    cancellation_notice_hours: setting('cancellation_notice_hours', 'Cancellation notice hours', 0, 336),
+    max_advance_days: setting('max_advance_days', 'Maximum advance days', 1, 365)
+  };
+  
+  const connection = await mysqlConnection.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute('DELETE FROM professional_availability WHERE professional_id = ?', [req.user.userId]);
+    for (const window of parsedWindows) {
+      await connection.execute(`
+        INSERT INTO professional_availability (
+          professional_id, weekday, start_minute, end_minute, location, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+      `, [req.user.userId, ...window]);
+    }
+    
+    await connection.execute(`
+      INSERT INTO professional_booking_settings (
+        professional_id, slot_minutes, min_notice_hours, cancellation_notice_hours, max_advance_days, updated_at
+      ) VALUES (?, ?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE
+        slot_minutes = VALUES(slot_minutes), min_notice_hours = VALUES(min_notice_hours),
+        cancellation_notice_hours = VALUES(cancellation_notice_hours),
+        max_advance_days = VALUES(max_advance_days), updated_at = NOW()
+    `, [
+      req.user.userId, settings.slot_minutes, settings.min_notice_hours,
+      settings.cancellation_notice_hours, settings.max_advance_days
+    ]);
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
   
-  res.json({
-    message: 'Event deleted successfully',
-    eventId: parseInt(eventId)
+  res.json({
+    message: 'Availability updated successfully',
+    windowCount: parsedWindows.length,
+    settings: settings
   });
 }));
 
-// ===============================
-// CALENDAR VIEW ENDPOINTS
-// ===============================
-
-// Get calendar view (events for a specific month/week)
-app.get('/calendar', authenticateToken, asyncHandler(async (req, res) => {
-  const { year, month, view = 'month' } = req.query;
-  
-  if (!year || !month) {
-    throw new ValidationError('Year and month are required');
-  }
+// Block time off, or add extra hours, on a specific date
+app.post('/availability/exceptions', authenticateToken, requireProfessional, asyncHandler(async (req, res) => {
+  const { date, start_time, end_time, is_available = false, reason } = req.body;
   
-  let startDate, endDate;
+  const exceptionDate = parseCalendarDate(date, 'date');
+  const startMinute = start_time ? parseClockTime(start_time, 'start time') : null;
+  const endMinute = end_time ? parseClockTime(end_time, 'end time') : null;
   
-  if (view === 'month') {
-    startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
-    endDate = new Date(parseInt(year), parseInt(month), 0);
-    endDate.setHours(23, 59, 59, 999);
-  } else if (view === 'week') {
-    // If week view, month param represents the week number
-    startDate = new Date(parseInt(year), 0, 1 + (parseInt(month) - 1) * 7);
-    endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 6);
-    endDate.setHours(23, 59, 59, 999);
-  } else {
-    throw new ValidationError('Invalid view type. Use "month" or "week"');
+  if ((startMinute === null) !== (endMinute === null)) {
+    throw new ValidationError('Start and end time must be given together');
+  }
+  if (startMinute !== null && endMinute <= startMinute) {
+    throw new ValidationError('End time must be after start time');
+  }
+  if (is_available && startMinute === null) {
+    throw new ValidationError('Extra availability needs a start and end time');
   }
   
-  const [events] = await mysqlConnection.execute(`
-    SELECT e.*, c.name as child_name
-    FROM events e
-    LEFT JOIN children c ON e.child_id = c.id
-    WHERE e.user_id = ? 
-    AND e.start_time >= ? 
-    AND e.start_time <= ?
-    AND e.deleted_at IS NULL
-    ORDER BY e.start_time ASC
-  `, [req.user.userId, startDate, endDate]);
-  
-  // Group events by date for easier frontend consumption
-  const eventsByDate = {};
-  events.forEach(event => {
-    const dateKey = event.start_time.toISOString().split('T')[0];
-    if (!eventsByDate[dateKey]) {
-      eventsByDate[dateKey] = [];
-    }
-    eventsByDate[dateKey].push(event);
-  });
+  const [result] = await mysqlConnection.execute(`
+    INSERT INTO availability_exceptions (
+      professional_id, date, start_minute, end_minute, is_available, reason, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+  `, [req.user.userId, calendarDateKey(exceptionDate), startMinute, endMinute, !!is_available, reason || null]);
   
-  res.json({
-    calendar: {
-      view,
-      start_date: startDate,
-      end_date: endDate,
-      events_by_date: eventsByDate,
-      total_events: events.length
-    }
+  res.status(201).json({
+    message: 'Availability exception created successfully',
+    exceptionId: result.insertId
   });
 }));
 
-// Get today's events
-app.get('/today', authenticateToken, asyncHandler(async (req, res) => {
-  const today = new Date();
-  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+// Remove an availability exception
+app.delete('/availability/exceptions/:exceptionId', authenticateToken, requireProfessional, asyncHandler(async (req, res) => {
+  const [result] = await mysqlConnection.execute(
+    'DELETE FROM availability_exceptions WHERE id = ? AND professional_id = ?',
+    [req.params.exceptionId, req.user.userId]
+  );
   
-  const [events] = await mysqlConnection.execute(`
-    SELECT e.*, c.name as child_name
-    FROM events e
-    LEFT JOIN children c ON e.child_id = c.id
-    WHERE e.user_id = ? 
-    AND e.start_time >= ? 
-    AND e.start_time < ?
-    AND e.deleted_at IS NULL
-    ORDER BY e.start_time ASC
-  `, [req.user.userId, startOfDay, endOfDay]);
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Exception not found' });
+  }
   
   res.json({
-    today_events: events,
-    date: startOfDay,
-    count: events.length
+    message: 'Availability exception deleted successfully',
+    exceptionId: parseInt(req.params.exceptionId)
   });
 }));
 
-// Get upcoming events (next 7 days)
-app.get('/upcoming', authenticateToken, asyncHandler(async (req, res) => {
-  const { days = 7 } = req.query;
-  const now = new Date();
-  const futureDate = new Date();
-  futureDate.setDate(now.getDate() + parseInt(days));
+// Get a professional's open slots (dates are in the professional's time zone)
+app.get('/professionals/:professionalId/slots', authenticateToken, asyncHandler(async (req, res) => {
+  const professional = await getProfessional(req.params.professionalId);
+  if (!professional) {
+    return res.status(404).json({ error: 'Professional not found' });
+  }
   
-  const [events] = await mysqlConnection.execute(`
-    SELECT e.*, c.name as child_name
-    FROM events e
-    LEFT JOIN children c ON e.child_id = c.id
-    WHERE e.user_id = ? 
-    AND e.start_time >= NOW()
-    AND e.start_time <= ?
-    AND e.deleted_at IS NULL
-    ORDER BY e.start_time ASC
-    LIMIT 20
-  `, [req.user.userId, futureDate]);
+  const timeZone = await getUserTimeZone(professional.id);
+  const firstDate = req.query.start_date ? parseCalendarDate(req.query.start_date, 'start date') : todayCalendarDate(timeZone);
+  const lastDate = req.query.end_date ? parseCalendarDate(req.query.end_date, 'end date') : addCalendarDays(firstDate, 13);
+  
+  if (lastDate < firstDate || lastDate - firstDate >= MAX_SLOT_QUERY_DAYS * DAY_MS) {
+    throw new ValidationError(`Date range must cover between 1 and ${MAX_SLOT_QUERY_DAYS} days`);
+  }
+  
+  const { slots, settings } = await getOpenSlots(professional.id, firstDate, lastDate);
   
   res.json({
-    upcoming_events: events,
-    period_days: parseInt(days),
-    count: events.length
+    professional: { id: professional.id, name: professional.name, role: professional.role },
+    time_zone: timeZone,
+    slot_minutes: settings.slot_minutes,
+    slots: slots,
+    count: slots.length
   });
 }));
 
-// ===============================
-// APPOINTMENT MANAGEMENT
-// ===============================
+// Serializes booking changes per professional. Locking the overlapping
+// bookings alone is not enough: an empty range locks no rows, so two
+// caregivers could both find a free slot. The professional's user row always
+// exists, so every transaction touching their bookings queues on it.
+const lockProfessionalBookings = async (connection, professionalId) => {
+  await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [professionalId]);
+};
 
-// Create an appointment (special type of event)
-app.post('/appointments', authenticateToken, asyncHandler(async (req, res) => {
-  const { 
-    title, description, start_time, end_time, location,
-    provider_name, provider_contact, appointment_type,
+// Book an open slot with a professional
+app.post('/bookings', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    professional_id, start_time, title, appointment_type = 'therapy',
     child_id, notes, reminder_minutes = 30
   } = req.body;
   
-  if (!title || !start_time || !appointment_type) {
-    throw new ValidationError('Title, start time, and appointment type are required');
+  if (!professional_id || !start_time) {
+    throw new ValidationError('Professional ID and start time are required');
+  }
+  if (!APPOINTMENT_TYPES.includes(appointment_type)) {
+    throw new ValidationError('Invalid appointment type');
   }
   
-  const startTime = parseDateTime(start_time);
-  const endTime = end_time ? parseDateTime(end_time) : null;
+  const professional = await getProfessional(professional_id);
+  if (!professional) {
+    return res.status(404).json({ error: 'Professional not found' });
+  }
+  if (Number(professional.id) === Number(req.user.userId)) {
+    throw new ValidationError('You cannot book an appointment with yourself');
+  }
   
-  // Validate appointment type
-  const validAppointmentTypes = [
-    'medical', 'therapy', 'dental', 'vision', 'hearing', 'psychiatric',
-    'educational', 'assessment', 'consultation', 'follow_up', 'other'
-  ];
+  const startTime = parseDateTime(start_time);
+  const childId = await validateChildId(child_id, req.user.userId);
+  const { slot } = await findOpenSlot(professional.id, startTime);
   
-  if (!validAppointmentTypes.includes(appointment_type)) {
-    throw new ValidationError('Invalid appointment type');
+  if (!slot) {
+    return res.status(409).json({ error: 'Slot is not available' });
   }
   
-  // Create as an event with appointment-specific fields
-  const [result] = await mysqlConnection.execute(`
-    INSERT INTO events (
-      user_id, title, description, event_type, start_time, end_time,
-      location, provider_name, provider_contact, appointment_type,
-      child_id, notes, reminder_minutes, created_at, updated_at
-    ) VALUES (?, ?, ?, 'appointment', ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
-  `, [
-    req.user.userId, title.trim(), description || null, startTime, endTime,
-    location || null, provider_name || null, provider_contact || null,
-    appointment_type, child_id || null, notes || null, parseInt(reminder_minutes)
-  ]);
+  const connection = await mysqlConnection.getConnection();
+  let bookingId;
+  let eventId;
   
-  const appointmentId = result.insertId;
+  try {
+    await connection.beginTransaction();
+    
+    await lockProfessionalBookings(connection, professional.id);
+    
+    const [taken] = await connection.execute(`
+      SELECT id FROM appointment_bookings
+      WHERE professional_id = ? AND status = 'booked' AND start_time < ? AND end_time > ?
+      FOR UPDATE
+    `, [professional.id, slot.end_time, slot.start_time]);
+    
+    if (taken.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Slot is not available' });
+    }
+    
+    const [eventResult] = await connection.execute(`
+      INSERT INTO events (
+        user_id, title, event_type, start_time, end_time, location,
+        provider_name, provider_contact, appointment_type, child_id, notes,
+        reminder_minutes, created_at, updated_at
+      ) VALUES (?, ?, 'appointment', ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    `, [
+      req.user.userId, (title || `Appointment with ${professional.name}`).trim(),
+      slot.start_time, slot.end_time, slot.location, professional.name, professional.email,
+      appointment_type, childId, notes || null, parseInt(reminder_minutes)
+    ]);
+    eventId = eventResult.insertId;
+    
+    await connection.execute(`
+      INSERT INTO event_attendees (
+        event_id, user_id, role, rsvp_status, visibility, can_edit, invited_by,
+        responded_at, created_at, updated_at
+      ) VALUES (?, ?, 'professional', 'accepted', 'full', FALSE, ?, NOW(), NOW(), NOW())
+    `, [eventId, professional.id, req.user.userId]);
+    
+    const [bookingResult] = await connection.execute(`
+      INSERT INTO appointment_bookings (
+        professional_id, caregiver_id, event_id, start_time, end_time, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, 'booked', NOW(), NOW())
+    `, [professional.id, req.user.userId, eventId, slot.start_time, slot.end_time]);
+    bookingId = bookingResult.insertId;
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
   
   res.status(201).json({
-    message: 'Appointment created successfully',
-    appointmentId: appointmentId,
-    startTime: startTime
+    message: 'Appointment booked successfully',
+    bookingId: bookingId,
+    eventId: eventId,
+    startTime: slot.start_time,
+    endTime: slot.end_time
   });
 }));
 
-// Get appointments
-app.get('/appointments', authenticateToken, asyncHandler(async (req, res) => {
-  const { 
-    start_date, end_date, appointment_type, child_id,
-    include_past = 'false', limit = 30
-  } = req.query;
+// Get the current user's bookings, as caregiver or professional
+app.get('/bookings', authenticateToken, asyncHandler(async (req, res) => {
+  const { status, include_past = 'false' } = req.query;
   
   let query = `
-    SELECT e.*, c.name as child_name
-    FROM events e
-    LEFT JOIN children c ON e.child_id = c.id
-    WHERE e.user_id = ? AND e.event_type = 'appointment' AND e.deleted_at IS NULL
+    SELECT b.*, p.name as professional_name, c.name as caregiver_name, e.title, e.child_id
+    FROM appointment_bookings b
+    JOIN users p ON b.professional_id = p.id
+    JOIN users c ON b.caregiver_id = c.id
+    LEFT JOIN events e ON b.event_id = e.id
+    WHERE (b.caregiver_id = ? OR b.professional_id = ?)
   `;
-  const params = [req.user.userId];
+  const params = [req.user.userId, req.user.userId];
   
-  // Date filtering
-  if (start_date) {
-    query += ' AND e.start_time >= ?';
-    params.push(parseDateTime(start_date));
+  if (status) {
+    query += ' AND b.status = ?';
+    params.push(status);
   }
   
-  if (end_date) {
-    query += ' AND e.start_time <= ?';
-    params.push(parseDateTime(end_date));
+  if (include_past === 'false') {
+    query += ' AND b.end_time >= NOW()';
   }
   
-  // Don't include past appointments unless requested
-  if (include_past === 'false') {
-    query += ' AND e.start_time >= NOW()';
+  query += ' ORDER BY b.start_time ASC';
+  
+  const [bookings] = await mysqlConnection.execute(query, params);
+  
+  res.json({
+    bookings: bookings.map(booking => ({
+      ...booking,
+      my_role: Number(booking.professional_id) === Number(req.user.userId) ? 'professional' : 'caregiver'
+    })),
+    count: bookings.length
+  });
+}));
+
+// Cancel a booking, removing the appointment from both calendars
+app.put('/bookings/:bookingId/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  const booking = await getBooking(req.params.bookingId, req.user.userId);
+  
+  if (!booking || booking.status !== 'booked') {
+    return res.status(404).json({ error: 'Booking not found' });
   }
   
-  // Appointment type filter
-  if (appointment_type) {
-    query += ' AND e.appointment_type = ?';
-    params.push(appointment_type);
+  checkBookingNotice(booking, req.user.userId, await getBookingSettings(booking.professional_id), 'cancelled');
+  
+  const connection = await mysqlConnection.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute(`
+      UPDATE appointment_bookings
+      SET status = 'cancelled', cancelled_by = ?, cancellation_reason = ?, cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = ?
+    `, [req.user.userId, req.body.reason || null, booking.id]);
+    
+    await connection.execute(
+      'UPDATE events SET deleted_at = NOW(), updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+      [booking.event_id]
+    );
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
   
-  // Child filter
-  if (child_id) {
-    query += ' AND e.child_id = ?';
-    params.push(parseInt(child_id));
+  res.json({
+    message: 'Booking cancelled successfully',
+    bookingId: booking.id
+  });
+}));
+
+// Move a booking to another open slot with the same professional
+app.put('/bookings/:bookingId/reschedule', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_time } = req.body;
+  
+  if (!start_time) {
+    throw new ValidationError('Start time is required');
+  }
+  
+  const booking = await getBooking(req.params.bookingId, req.user.userId);
+  
+  if (!booking || booking.status !== 'booked') {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+  
+  const startTime = parseDateTime(start_time);
+  const { slot, settings } = await findOpenSlot(booking.professional_id, startTime);
+  checkBookingNotice(booking, req.user.userId, settings, 'rescheduled');
+  
+  if (!slot) {
+    return res.status(409).json({ error: 'Slot is not available' });
   }
   
-  query += ' ORDER BY e.start_time ASC LIMIT ?';
-  params.push(parseInt(limit));
+  const connection = await mysqlConnection.getConnection();
   
-  const [appointments] = await mysqlConnection.execute(query, params);
+  try {
+    await connection.beginTransaction();
+    
+    await lockProfessionalBookings(connection, booking.professional_id);
+    
+    const [taken] = await connection.execute(`
+      SELECT id FROM appointment_bookings
+      WHERE professional_id = ? AND status = 'booked' AND id <> ? AND start_time < ? AND end_time > ?
+      FOR UPDATE
+    `, [booking.professional_id, booking.id, slot.end_time, slot.start_time]);
+    
+    if (taken.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Slot is not available' });
+    }
+    
+    await connection.execute(`
+      UPDATE appointment_bookings SET start_time = ?, end_time = ?, updated_at = NOW() WHERE id = ?
+    `, [slot.start_time, slot.end_time, booking.id]);
+    
+    await connection.execute(`
+      UPDATE events SET start_time = ?, end_time = ?, location = COALESCE(?, location),
+             reminder_sent_at = NULL, updated_at = NOW()
+      WHERE id = ?
+    `, [slot.start_time, slot.end_time, slot.location, booking.event_id]);
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
   
   res.json({
-    appointments: appointments,
-    count: appointments.length
+    message: 'Booking rescheduled successfully',
+    bookingId: booking.id,
+    startTime: slot.start_time,
+    endTime: slot.end_time
   });
 }));
 
@@ -631,6 +5460,241 @@ app.put('/reminders/:eventId/sent', authenticateToken, asyncHandler(async (req,
   });
 }));
 
+// ===============================
+// REMINDER DISPATCHER
+// ===============================
+
+const REMINDER_CHANNELS = ['in_app', 'email'];
+const REMINDER_DISPATCH_INTERVAL_MS = parseInt(process.env.REMINDER_DISPATCH_INTERVAL_MS) || 60000;
+// Reminders found late (e.g. after a restart) are still sent up to this long after the start
+const REMINDER_GRACE_MINUTES = 5;
+
+const defaultReminderChannels = (process.env.REMINDER_CHANNELS || 'in_app,email')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(channel => REMINDER_CHANNELS.includes(channel));
+
+const mailTransport = process.env.SMTP_HOST ? nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  } : undefined
+}) : null;
+
+let isDispatchingReminders = false;
+
+// Users can narrow the channels through preferences.reminder_channels
+const getReminderChannels = (preferences) => {
+  try {
+    const parsed = typeof preferences === 'string' ? JSON.parse(preferences || '{}') : (preferences || {});
+    if (Array.isArray(parsed.reminder_channels)) {
+      return parsed.reminder_channels.filter(channel => REMINDER_CHANNELS.includes(channel));
+    }
+  } catch (e) {
+    // Fall through to the defaults for malformed preferences
+  }
+  return defaultReminderChannels;
+};
+
+const buildReminderPayload = (occurrence) => ({
+  event_id: occurrence.id,
+  occurrence_id: occurrence.occurrence_id || null,
+  title: occurrence.title,
+  event_type: occurrence.event_type,
+  start_time: occurrence.start_time,
+  end_time: occurrence.end_time,
+  location: occurrence.location,
+  child_name: occurrence.child_name,
+  provider_name: occurrence.provider_name,
+  minutes_until: Math.max(Math.round((new Date(occurrence.start_time) - Date.now()) / 60000), 0)
+});
+
+// In-app reminders are pushed to the user's socket room by the chat service
+const sendInAppReminder = async (occurrence, payload) => {
+  await axios.post(`${process.env.CHAT_SERVICE_URL || 'http://localhost:3003'}/internal/notifications`, {
+    user_id: occurrence.user_id,
+    event: 'event_reminder',
+    payload
+  }, {
+    headers: { 'x-internal-key': process.env.INTERNAL_SERVICE_KEY },
+    timeout: 5000
+  });
+};
+
+const sendEmailReminder = async (occurrence, payload) => {
+  if (!mailTransport) {
+    throw new Error('Email reminders are not configured (SMTP_HOST missing)');
+  }
+
+  const startText = new Date(payload.start_time).toLocaleString('en-US', {
+    timeZone: getEventTimeZone(occurrence),
+    dateStyle: 'full',
+    timeStyle: 'short'
+  });
+  const details = [
+    `${payload.title} starts at ${startText}.`,
+    payload.location && `Location: ${payload.location}`,
+    payload.child_name && `Child: ${payload.child_name}`,
+    payload.provider_name && `Provider: ${payload.provider_name}`
+  ].filter(Boolean);
+
+  await mailTransport.sendMail({
+    from: process.env.REMINDER_EMAIL_FROM || 'Caregiver Circle <no-reply@caregivercircle.app>',
+    to: occurrence.user_email,
+    subject: `Reminder: ${payload.title}`,
+    text: details.join('\n')
+  });
+};
+
+// Delivers one reminder on every channel; returns the channels that succeeded
+const deliverReminder = async (occurrence) => {
+  const payload = buildReminderPayload(occurrence);
+  const delivered = [];
+
+  for (const channel of getReminderChannels(occurrence.user_preferences)) {
+    try {
+      if (channel === 'in_app') {
+        await sendInAppReminder(occurrence, payload);
+      } else if (channel === 'email') {
+        await sendEmailReminder(occurrence, payload);
+      }
+      delivered.push(channel);
+    } catch (error) {
+      console.error(`Reminder delivery via ${channel} failed for event ${occurrence.id}:`, error.message);
+    }
+  }
+
+  return delivered;
+};
+
+// Claims a reminder so that only one service instance sends it. Single events use
+// reminder_sent_at; each occurrence of a series gets a row in event_reminder_deliveries
+// (unique on event_id + occurrence_start).
+const claimReminder = async (occurrence) => {
+  if (occurrence.is_occurrence) {
+    const [result] = await mysqlConnection.execute(`
+      INSERT IGNORE INTO event_reminder_deliveries (event_id, occurrence_start, sent_at)
+      VALUES (?, ?, NOW())
+    `, [occurrence.id, occurrence.original_start_time]);
+    return result.affectedRows === 1;
+  }
+
+  const [result] = await mysqlConnection.execute(`
+    UPDATE events SET reminder_sent_at = NOW()
+    WHERE id = ? AND reminder_sent_at IS NULL
+  `, [occurrence.id]);
+  return result.affectedRows === 1;
+};
+
+// Releases a claim when no channel delivered, so the next run retries
+const releaseReminder = async (occurrence) => {
+  if (occurrence.is_occurrence) {
+    await mysqlConnection.execute(
+      'DELETE FROM event_reminder_deliveries WHERE event_id = ? AND occurrence_start = ?',
+      [occurrence.id, occurrence.original_start_time]
+    );
+    return;
+  }
+
+  await mysqlConnection.execute('UPDATE events SET reminder_sent_at = NULL WHERE id = ?', [occurrence.id]);
+};
+
+// Date part of a stored UNTIL (patterns are stored as RRULEs with a basic-format
+// UNTIL); series without one, or with one SQL cannot read, count as open-ended
+const RECURRENCE_UNTIL_SQL = `COALESCE(STR_TO_DATE(
+  LEFT(SUBSTRING_INDEX(SUBSTRING_INDEX(e.recurrence_pattern, 'UNTIL=', -1), ';', 1), 8), '%Y%m%d'
+), '9999-12-31')`;
+
+// Finds occurrences across all users whose reminder window has opened.
+// Finished series are left out in SQL, and expansion starts at graceStart.
+// Deliveries are keyed on each occurrence's original start, so moving an
+// occurrence after its reminder went out does not send it again.
+const getDueReminders = async () => {
+  const now = Date.now();
+  const graceStart = new Date(now - REMINDER_GRACE_MINUTES * 60000);
+
+  const [events] = await mysqlConnection.execute(`
+    SELECT e.*, c.name as child_name, u.email as user_email, u.preferences as user_preferences,
+           u.time_zone as user_time_zone
+    FROM events e
+    JOIN users u ON e.user_id = u.id
+    LEFT JOIN children c ON e.child_id = c.id
+    WHERE e.deleted_at IS NULL AND u.deleted_at IS NULL
+    AND e.reminder_minutes IS NOT NULL
+    AND e.start_time <= DATE_ADD(NOW(), INTERVAL e.reminder_minutes MINUTE)
+    AND (
+      (e.is_recurring = 1 AND e.recurrence_pattern IS NOT NULL AND ${RECURRENCE_UNTIL_SQL} >= ?)
+      OR (e.reminder_sent_at IS NULL AND e.start_time >= ?)
+    )
+  `, [formatDateKey(new Date(graceStart.getTime() - DAY_MS), 'UTC'), graceStart]);
+
+  const recurringEvents = events.filter(isRecurringEvent);
+  const exceptions = await getEventExceptions(recurringEvents.map(event => event.id));
+
+  return events.flatMap(event => {
+    if (!isRecurringEvent(event)) {
+      // Unparseable legacy patterns are reminded once, like single events
+      return !event.reminder_sent_at && new Date(event.start_time) >= graceStart ? [event] : [];
+    }
+
+    return expandRecurringEvent(
+      event,
+      graceStart,
+      new Date(now + event.reminder_minutes * 60000),
+      exceptions.filter(exception => exception.event_id === event.id)
+    );
+  }).filter(occurrence =>
+    new Date(occurrence.start_time).getTime() - occurrence.reminder_minutes * 60000 <= now
+  );
+};
+
+const dispatchReminders = async () => {
+  // Skip this tick if the previous run is still going
+  if (isDispatchingReminders) {
+    return;
+  }
+  isDispatchingReminders = true;
+
+  try {
+    const dueReminders = await getDueReminders();
+    let sent = 0;
+
+    for (const occurrence of dueReminders) {
+      if (!(await claimReminder(occurrence))) {
+        continue;
+      }
+
+      const delivered = await deliverReminder(occurrence);
+      if (delivered.length === 0) {
+        await releaseReminder(occurrence);
+      } else {
+        sent++;
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`🔔 Sent ${sent} event reminder(s)`);
+    }
+  } catch (error) {
+    console.error('Reminder dispatch error:', error);
+  } finally {
+    isDispatchingReminders = false;
+  }
+};
+
+const startReminderDispatcher = () => {
+  if (process.env.ENABLE_REMINDER_DISPATCHER === 'false') {
+    console.log('🔕 Reminder dispatcher disabled');
+    return;
+  }
+
+  setInterval(dispatchReminders, REMINDER_DISPATCH_INTERVAL_MS);
+  console.log(`🔔 Reminder dispatcher running every ${REMINDER_DISPATCH_INTERVAL_MS / 1000}s via ${defaultReminderChannels.join(', ')}`);
+};
+
 // ===============================
 // STATISTICS AND ANALYTICS
 // ===============================
@@ -673,13 +5737,58 @@ app.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
       WHERE user_id = ? AND start_time >= NOW() AND deleted_at IS NULL
     `, [req.user.userId]);
     
+    // Get recorded appointment outcomes
+    const [outcomes] = await mysqlConnection.execute(`
+      SELECT o.status, COUNT(*) as count
+      FROM appointment_outcomes o
+      JOIN events e ON o.event_id = e.id
+      WHERE e.user_id = ? AND o.occurrence_start >= ? AND e.deleted_at IS NULL
+      GROUP BY o.status
+    `, [req.user.userId, startDate]);
+    
+    // Get missed appointments per provider
+    const [missedByProvider] = await mysqlConnection.execute(`
+      SELECT e.provider_id, e.provider_name, COUNT(*) as count
+      FROM appointment_outcomes o
+      JOIN events e ON o.event_id = e.id
+      WHERE e.user_id = ? AND o.status = 'missed' AND o.occurrence_start >= ? AND e.deleted_at IS NULL
+      GROUP BY e.provider_id, e.provider_name
+      ORDER BY count DESC
+    `, [req.user.userId, startDate]);
+    
+    // Get open follow-up tasks count
+    const [openTasks] = await mysqlConnection.execute(`
+      SELECT COUNT(*) as open
+      FROM event_tasks
+      WHERE user_id = ? AND completed_at IS NULL AND deleted_at IS NULL
+    `, [req.user.userId]);
+    
+    const outcomeCounts = { attended: 0, missed: 0, cancelled: 0 };
+    outcomes.forEach(row => {
+      outcomeCounts[row.status] = row.count;
+    });
+    
+    // Cancellations are left out of the attendance rate
+    const heldOrMissed = outcomeCounts.attended + outcomeCounts.missed;
+    
     res.json({
       statistics: {
         period_days: parseInt(days),
         start_date: startDate,
         totals: {
           events: totalEvents[0].total,
-          upcoming_events: upcomingEvents[0].upcoming
+          upcoming_events: upcomingEvents[0].upcoming,
+          open_follow_up_tasks: openTasks[0].open
+        },
+        attendance: {
+          ...outcomeCounts,
+          attendance_rate: heldOrMissed > 0 ?
+            Math.round((outcomeCounts.attended / heldOrMissed) * 1000) / 10 : null,
+          missed_by_provider: missedByProvider.map(row => ({
+            provider_id: row.provider_id,
+            provider_name: row.provider_name,
+            missed: row.count
+          }))
         },
         breakdown: {
           by_event_type: eventsByType.reduce((acc, curr) => {
@@ -717,6 +5826,10 @@ app.use((error, req, res, next) => {
     return res.status(400).json({ error: 'Invalid reference - related record not found' });
   }
   
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ error: 'File too large' });
+  }
+  
   if (error.response && error.response.status) {
     return res.status(error.response.status).json({ 
       error: 'External service error',
@@ -737,10 +5850,27 @@ async function startServer() {
       console.log(`📅 Events Service running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
     });
+    
+    startReminderDispatcher();
   } catch (error) {
     console.error('❌ Failed to start Events Service:', error);
     process.exit(1);
   }
 }
 
-startServer();
\ No newline at end of file
+// Only start when run directly; the tests require this module for its helpers
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  connectMySQL,
+  parseRecurrenceRule,
+  expandRecurringEvent,
+  isOccurrenceOf,
+  buildICalendar,
+  parseICalEvents,
+  mapICalEvent,
+  getOpenSlots
+};
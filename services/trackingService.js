@@ -1,7 +1,5 @@
 const express = require('express');
 const cors = require('cors');
-const { createServer } = require('http');
-const { Server } = require('socket.io');
 const mysql = require('mysql2/promise');
 const { MongoClient, ServerApiVersion } = require('mongodb');
 const axios = require('axios');
@@ -9,15 +7,6 @@ const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 const app = express();
-const server = createServer(app);
-
-// Socket.IO setup (using your exact pattern)
-const io = new Server(server, {
-  cors: {
-    origin: process.env.CORS_ORIGIN || "http://localhost:3000",
-    methods: ["GET", "POST"]
-  }
-});
 
 // Middleware
 app.use(cors({
@@ -31,7 +20,7 @@ let mysqlConnection = null;
 let mongoClient = null;
 let mongoDb = null;
 
-// Connect to MySQL (for user data)
+// Connect to MySQL (for child ownership checks)
 const connectMySQL = async () => {
   try {
     mysqlConnection = mysql.createPool({
@@ -47,19 +36,19 @@ const connectMySQL = async () => {
       reconnect: true,
       charset: 'utf8mb4'
     });
-    
+
     const connection = await mysqlConnection.getConnection();
     await connection.ping();
     connection.release();
-    
-    console.log('✅ Chat Service: MySQL connected');
+
+    console.log('✅ Tracking Service: MySQL connected');
   } catch (error) {
-    console.error('❌ Chat Service: MySQL connection failed:', error.message);
+    console.error('❌ Tracking Service: MySQL connection failed:', error.message);
     throw error;
   }
 };
 
-// Connect to Cosmos DB (for chat messages)
+// Connect to Cosmos DB (for tracking entries)
 const connectCosmosDB = async () => {
   try {
     mongoClient = new MongoClient(process.env.COSMOS_DB_CONNECTION_STRING, {
@@ -83,13 +72,30 @@ const connectCosmosDB = async () => {
     mongoDb = mongoClient.db(process.env.COSMOS_DB_NAME || 'caregiver_cosmos');
     
     // Create indexes for better performance
-    const messagesCollection = mongoDb.collection('chat_messages');
-    await messagesCollection.createIndex({ chat_id: 1, created_at: -1 });
-    await messagesCollection.createIndex({ sender_id: 1, created_at: -1 });
-    
-    console.log('✅ Chat Service: Cosmos DB connected');
+    const moodCollection = mongoDb.collection('mood_entries');
+    await moodCollection.createIndex({ user_id: 1, date: -1 });
+    await moodCollection.createIndex({ user_id: 1, created_at: -1 });
+
+    const energyCollection = mongoDb.collection('energy_entries');
+    await energyCollection.createIndex({ user_id: 1, date: -1 });
+    await energyCollection.createIndex({ user_id: 1, created_at: -1 });
+
+    const sleepCollection = mongoDb.collection('sleep_entries');
+    await sleepCollection.createIndex({ user_id: 1, sleep_date: -1 });
+    await sleepCollection.createIndex({ user_id: 1, created_at: -1 });
+
+    const reflectionsCollection = mongoDb.collection('reflections');
+    await reflectionsCollection.createIndex({ user_id: 1, created_at: -1 });
+    await reflectionsCollection.createIndex({ user_id: 1, date: -1 });
+
+    const careLogsCollection = mongoDb.collection('care_logs');
+    await careLogsCollection.createIndex({ user_id: 1, log_date: -1 });
+    await careLogsCollection.createIndex({ child_id: 1, log_date: -1 });
+    await careLogsCollection.createIndex({ user_id: 1, created_at: -1 });
+
+    console.log('✅ Tracking Service: Cosmos DB connected');
   } catch (error) {
-    console.error('❌ Chat Service: Cosmos DB connection failed:', error.message);
+    console.error('❌ Tracking Service: Cosmos DB connection failed:', error.message);
     throw error;
   }
 };
@@ -139,115 +145,388 @@ class ValidationError extends Error {
   }
 }
 
+// Utility functions
+
+// Tracking entries are keyed by calendar day, stored as 'YYYY-MM-DD' so they
+// sort and range-query correctly regardless of the client's time zone
+const parseEntryDate = (dateString) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    throw new ValidationError('Date must be in YYYY-MM-DD format');
+  }
+
+  const date = new Date(`${dateString}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().split('T')[0] !== dateString) {
+    throw new ValidationError('Invalid date');
+  }
+
+  return dateString;
+};
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+// Calendar date ('YYYY-MM-DD') of an instant on the wall clock of a time zone
+const formatDateInZone = (date, timeZone) => {
+  const values = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .forEach(part => {
+      values[part.type] = part.value;
+    });
+  return `${values.year}-${values.month}-${values.day}`;
+};
+
+// Entries default to the user's own "today", not the server's UTC date
+const getUserTimeZone = async (userId) => {
+  const [users] = await mysqlConnection.execute(
+    'SELECT time_zone FROM users WHERE id = ?',
+    [userId]
+  );
+  const timeZone = users.length > 0 ? users[0].time_zone : null;
+  if (!timeZone) {
+    return DEFAULT_TIME_ZONE;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return DEFAULT_TIME_ZONE;
+  }
+};
+
+const todayDateString = (timeZone) => formatDateInZone(new Date(), timeZone);
+
+// Optional free-text fields; anything other than a string is rejected
+const parseOptionalText = (value, fieldName) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${fieldName} must be a string`);
+  }
+  return value.trim();
+};
+
+const parseScore = (value, fieldName, min, max) => {
+  const score = parseInt(value);
+  if (isNaN(score) || score < min || score > max) {
+    throw new ValidationError(`${fieldName} must be a number between ${min} and ${max}`);
+  }
+  return score;
+};
+
+const parseTagList = (value, fieldName, maxItems = 10) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+    throw new ValidationError(`${fieldName} must be an array of strings`);
+  }
+
+  const tags = [...new Set(value.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > maxItems) {
+    throw new ValidationError(`${fieldName} cannot contain more than ${maxItems} items`);
+  }
+
+  return tags;
+};
+
+// Builds the user_id + date range filter shared by the list endpoints
+const buildDateRangeFilter = (userId, startDate, endDate, dateField = 'date') => {
+  const filter = { user_id: userId };
+
+  if (startDate || endDate) {
+    filter[dateField] = {};
+    if (startDate) {
+      filter[dateField].$gte = parseEntryDate(startDate);
+    }
+    if (endDate) {
+      filter[dateField].$lte = parseEntryDate(endDate);
+    }
+  }
+
+  return filter;
+};
+
+const MOOD_SCALE = { min: 1, max: 10 };
+const ENERGY_SCALE = { min: 1, max: 10 };
+const ENERGY_PERIODS = ['morning', 'afternoon', 'evening'];
+
+const validateEnergyPeriod = (period) => {
+  if (!ENERGY_PERIODS.includes(period)) {
+    throw new ValidationError(`Period must be one of: ${ENERGY_PERIODS.join(', ')}`);
+  }
+  return period;
+};
+
+const SLEEP_QUALITY_SCALE = { min: 1, max: 5 };
+const NIGHT_WAKING_REASONS = [
+  'child_woke', 'child_medical', 'child_care', 'noise', 'stress',
+  'bathroom', 'pain', 'other'
+];
+// Wakings caused by the child, reported separately in summaries
+const CHILD_WAKING_REASONS = ['child_woke', 'child_medical', 'child_care'];
+
+const parseDateTime = (dateTimeString, fieldName) => {
+  const dateTime = new Date(dateTimeString);
+  if (!dateTimeString || isNaN(dateTime.getTime())) {
+    throw new ValidationError(`${fieldName} must be a valid date/time`);
+  }
+  return dateTime;
+};
+
+const parseNightWakings = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (!Array.isArray(value)) {
+    throw new ValidationError('Night wakings must be an array');
+  }
+
+  return value.map(waking => {
+    if (!waking || !NIGHT_WAKING_REASONS.includes(waking.reason)) {
+      throw new ValidationError(`Night waking reason must be one of: ${NIGHT_WAKING_REASONS.join(', ')}`);
+    }
+
+    const durationMinutes = parseInt(waking.duration_minutes);
+    if (isNaN(durationMinutes) || durationMinutes < 0) {
+      throw new ValidationError('Night waking duration must be a positive number of minutes');
+    }
+
+    return {
+      time: waking.time ? parseDateTime(waking.time, 'Night waking time') : null,
+      duration_minutes: durationMinutes,
+      reason: waking.reason,
+      notes: parseOptionalText(waking.notes, 'Night waking notes')
+    };
+  });
+};
+
+// Derives time in bed, total sleep and efficiency from the diary fields
+const computeSleepMetrics = ({ bedtime, wake_time, sleep_onset_minutes, night_wakings }) => {
+  const timeInBedMinutes = Math.round((wake_time - bedtime) / 60000);
+  const awakeMinutes = (sleep_onset_minutes || 0) +
+    night_wakings.reduce((sum, waking) => sum + waking.duration_minutes, 0);
+  const totalSleepMinutes = Math.max(timeInBedMinutes - awakeMinutes, 0);
+
+  return {
+    time_in_bed_minutes: timeInBedMinutes,
+    total_sleep_minutes: totalSleepMinutes,
+    sleep_efficiency: timeInBedMinutes > 0 ?
+      Math.round((totalSleepMinutes / timeInBedMinutes) * 1000) / 10 : 0,
+    wakings_count: night_wakings.length,
+    child_wakings_count: night_wakings.filter(waking => CHILD_WAKING_REASONS.includes(waking.reason)).length
+  };
+};
+
+const validateSleepWindow = (bedtime, wakeTime) => {
+  if (wakeTime <= bedtime) {
+    throw new ValidationError('Wake time must be after bedtime');
+  }
+  if (wakeTime - bedtime > 24 * 60 * 60 * 1000) {
+    throw new ValidationError('Sleep period cannot be longer than 24 hours');
+  }
+};
+
+// Returns the Monday-Sunday week or calendar month containing the given date
+const getSummaryRange = (period, dateString) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  let start, end;
+
+  if (period === 'week') {
+    start = new Date(date);
+    start.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    end = new Date(start);
+    end.setUTCDate(start.getUTCDate() + 6);
+  } else if (period === 'month') {
+    start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+  } else {
+    throw new ValidationError('Invalid period. Use "week" or "month"');
+  }
+
+  return {
+    start_date: start.toISOString().split('T')[0],
+    end_date: end.toISOString().split('T')[0]
+  };
+};
+
+const PRIVACY_LEVELS = ['private', 'care_team', 'counselor'];
+
+const REFLECTION_PROMPTS = [
+  { id: 'gratitude', text: 'What is one thing that went well today, however small?' },
+  { id: 'challenge', text: 'What was the hardest moment today, and how did you get through it?' },
+  { id: 'self_care', text: 'What did you do for yourself today? What would you like to do tomorrow?' },
+  { id: 'child_progress', text: 'What did your child do today that made you proud?' },
+  { id: 'support', text: 'Who helped you this week, and what support do you still need?' },
+  { id: 'feelings', text: 'What emotions came up most often today, and what triggered them?' },
+  { id: 'boundaries', text: 'Was there a moment you needed to say no? What happened?' }
+];
+
+const validatePrivacyLevel = (privacyLevel) => {
+  if (!PRIVACY_LEVELS.includes(privacyLevel)) {
+    throw new ValidationError(`Privacy level must be one of: ${PRIVACY_LEVELS.join(', ')}`);
+  }
+  return privacyLevel;
+};
+
+const findPrompt = (promptId) => {
+  const prompt = REFLECTION_PROMPTS.find(p => p.id === promptId);
+  if (!prompt) {
+    throw new ValidationError('Invalid prompt ID');
+  }
+  return prompt;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Care log categories and the detail fields each one requires
+const CARE_LOG_CATEGORIES = {
+  meal: ['meal_type'],
+  toileting: ['toileting_type'],
+  medication: ['medication_name', 'dose'],
+  behaviour: ['behaviour'],
+  therapy: ['exercise'],
+  note: []
+};
+
+const CARE_LOG_DETAIL_FIELDS = [
+  'meal_type', 'amount_eaten', 'foods',
+  'toileting_type',
+  'medication_name', 'dose', 'given_at',
+  'behaviour', 'antecedent', 'consequence', 'intensity', 'duration_minutes',
+  'exercise', 'completed'
+];
+
+const validateCareLogCategory = (category) => {
+  if (!Object.prototype.hasOwnProperty.call(CARE_LOG_CATEGORIES, category)) {
+    throw new ValidationError(`Category must be one of: ${Object.keys(CARE_LOG_CATEGORIES).join(', ')}`);
+  }
+  return category;
+};
+
+const parseCareLogDetails = (category, details = {}) => {
+  if (typeof details !== 'object' || details === null || Array.isArray(details)) {
+    throw new ValidationError('Details must be an object');
+  }
+
+  const missing = CARE_LOG_CATEGORIES[category].filter(field => !details[field]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing ${category} details: ${missing.join(', ')}`);
+  }
+
+  const parsed = {};
+  CARE_LOG_DETAIL_FIELDS.forEach(field => {
+    if (details[field] !== undefined && details[field] !== null) {
+      parsed[field] = details[field];
+    }
+  });
+
+  if (parsed.intensity !== undefined) {
+    parsed.intensity = parseScore(parsed.intensity, 'Intensity', 1, 5);
+  }
+
+  if (parsed.duration_minutes !== undefined) {
+    const durationMinutes = parseInt(parsed.duration_minutes);
+    if (isNaN(durationMinutes) || durationMinutes < 0) {
+      throw new ValidationError('Duration must be a positive number of minutes');
+    }
+    parsed.duration_minutes = durationMinutes;
+  }
+
+  if (parsed.given_at !== undefined) {
+    parsed.given_at = parseDateTime(parsed.given_at, 'Given at');
+  }
+
+  if (parsed.completed !== undefined) {
+    parsed.completed = !!parsed.completed;
+  }
+
+  return parsed;
+};
+
+// Ensures the child exists, is not archived and belongs to the requesting caregiver
+const verifyChildOwnership = async (childId, userId) => {
+  const parsedChildId = parseInt(childId);
+  if (isNaN(parsedChildId)) {
+    throw new ValidationError('Invalid child ID');
+  }
+
+  const [children] = await mysqlConnection.execute(`
+    SELECT id FROM children
+    WHERE id = ? AND user_id = ? AND archived_at IS NULL AND deleted_at IS NULL
+  `, [parsedChildId, userId]);
+
+  return children.length > 0 ? parsedChildId : null;
+};
+
+const average = (values) => {
+  if (values.length === 0) return null;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return Math.round((total / values.length) * 10) / 10;
+};
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
-    service: 'chat-service',
+    service: 'tracking-service',
     timestamp: new Date()
   });
 });
 
-// Get user's chat conversations
-app.get('/conversations', authenticateToken, asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20 } = req.query;
-  const offset = (page - 1) * limit;
-  
-  // Get conversations from MySQL (chat metadata)
-  const [conversations] = await mysqlConnection.execute(`
-    SELECT c.*, 
-           u1.name as participant1_name,
-           u2.name as participant2_name,
-           (SELECT content FROM chat_messages 
-            WHERE chat_id = c.id 
-            ORDER BY created_at DESC LIMIT 1) as last_message,
-           (SELECT created_at FROM chat_messages 
-            WHERE chat_id = c.id 
-            ORDER BY created_at DESC LIMIT 1) as last_message_at
-    FROM chats c
-    LEFT JOIN users u1 ON c.participant1_id = u1.id
-    LEFT JOIN users u2 ON c.participant2_id = u2.id
-    WHERE (c.participant1_id = ? OR c.participant2_id = ?)
-    AND c.deleted_at IS NULL
-    ORDER BY c.updated_at DESC
-    LIMIT ? OFFSET ?
-  `, [req.user.userId, req.user.userId, parseInt(limit), parseInt(offset)]);
-  
-  // Get unread message counts from Cosmos DB
-  const conversationsWithUnread = await Promise.all(
-    conversations.map(async (conv) => {
-      try {
-        const messagesCollection = mongoDb.collection('chat_messages');
-        const unreadCount = await messagesCollection.countDocuments({
-          chat_id: conv.id,
-          sender_id: { $ne: req.user.userId },
-          is_read: false
-        });
-        
-        return {
-          ...conv,
-          unread_count: unreadCount,
-          other_participant: conv.participant1_id === req.user.userId ? {
-            id: conv.participant2_id,
-            name: conv.participant2_name
-          } : {
-            id: conv.participant1_id,
-            name: conv.participant1_name
-          }
-        };
-      } catch (error) {
-        console.error('Error getting unread count:', error);
-        return { ...conv, unread_count: 0 };
-      }
-    })
-  );
-  
-  res.json({
-    conversations: conversationsWithUnread,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit)
-    }
+// ===============================
+// MOOD ENDPOINTS
+// ===============================
+
+// Record a mood check-in
+app.post('/mood', authenticateToken, asyncHandler(async (req, res) => {
+  const { date, mood_score, emotions, notes, triggers } = req.body;
+
+  if (mood_score === undefined) {
+    throw new ValidationError('Mood score is required');
+  }
+
+  const now = new Date();
+  const entry = {
+    entry_id: uuidv4(),
+    user_id: req.user.userId,
+    date: date ? parseEntryDate(date) : todayDateString(await getUserTimeZone(req.user.userId)),
+    mood_score: parseScore(mood_score, 'Mood score', MOOD_SCALE.min, MOOD_SCALE.max),
+    emotions: parseTagList(emotions, 'Emotions'),
+    triggers: parseTagList(triggers, 'Triggers'),
+    notes: parseOptionalText(notes, 'Notes'),
+    created_at: now,
+    updated_at: now
+  };
+
+  await mongoDb.collection('mood_entries').insertOne(entry);
+
+  res.status(201).json({
+    message: 'Mood entry created successfully',
+    entryId: entry.entry_id,
+    date: entry.date
   });
 }));
 
-// Get messages for a specific chat
-app.get('/conversations/:chatId/messages', authenticateToken, asyncHandler(async (req, res) => {
-  const { chatId } = req.params;
-  const { page = 1, limit = 50 } = req.query;
-  
-  // Verify user is participant in this chat
-  const [chats] = await mysqlConnection.execute(`
-    SELECT id FROM chats 
-    WHERE id = ? AND (participant1_id = ? OR participant2_id = ?) 
-    AND deleted_at IS NULL
-  `, [chatId, req.user.userId, req.user.userId]);
-  
-  if (chats.length === 0) {
-    return res.status(404).json({ error: 'Chat not found or access denied' });
-  }
-  
-  // Get messages from Cosmos DB
-  const messagesCollection = mongoDb.collection('chat_messages');
-  const messages = await messagesCollection
-    .find({ chat_id: parseInt(chatId) })
-    .sort({ created_at: -1 })
+// Get mood entries for a date range
+app.get('/mood', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_date, end_date, page = 1, limit = 50 } = req.query;
+
+  const filter = buildDateRangeFilter(req.user.userId, start_date, end_date);
+
+  const entries = await mongoDb.collection('mood_entries')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ date: -1, created_at: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
     .limit(parseInt(limit))
-    .skip((page - 1) * limit)
     .toArray();
-  
-  // Mark messages as read
-  await messagesCollection.updateMany(
-    {
-      chat_id: parseInt(chatId),
-      sender_id: { $ne: req.user.userId },
-      is_read: false
-    },
-    { $set: { is_read: true, read_at: new Date() } }
-  );
-  
+
   res.json({
-    messages: messages.reverse(), // Return in chronological order
+    entries,
+    count: entries.length,
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit)
@@ -255,210 +534,982 @@ app.get('/conversations/:chatId/messages', authenticateToken, asyncHandler(async
   });
 }));
 
-// Send a message
-app.post('/conversations/:chatId/messages', authenticateToken, asyncHandler(async (req, res) => {
-  const { chatId } = req.params;
-  const { content, message_type = 'text' } = req.body;
-  
-  if (!content || content.trim().length === 0) {
-    throw new ValidationError('Message content is required');
-  }
-  
-  // Verify user is participant in this chat
-  const [chats] = await mysqlConnection.execute(`
-    SELECT id, participant1_id, participant2_id FROM chats 
-    WHERE id = ? AND (participant1_id = ? OR participant2_id = ?) 
-    AND deleted_at IS NULL
-  `, [chatId, req.user.userId, req.user.userId]);
-  
-  if (chats.length === 0) {
-    return res.status(404).json({ error: 'Chat not found or access denied' });
-  }
-  
-  const chat = chats[0];
-  const recipientId = chat.participant1_id === req.user.userId ? 
-    chat.participant2_id : chat.participant1_id;
-  
-  // Create message in Cosmos DB
-  const messageId = uuidv4();
-  const message = {
-    message_id: messageId,
-    chat_id: parseInt(chatId),
-    sender_id: req.user.userId,
-    recipient_id: recipientId,
-    content: content.trim(),
-    message_type,
-    is_read: false,
-    created_at: new Date(),
-    updated_at: new Date()
-  };
-  
-  const messagesCollection = mongoDb.collection('chat_messages');
-  await messagesCollection.insertOne(message);
-  
-  // Update chat updated_at in MySQL
-  await mysqlConnection.execute(
-    'UPDATE chats SET updated_at = NOW() WHERE id = ?',
-    [chatId]
+// Get a specific mood entry
+app.get('/mood/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const entry = await mongoDb.collection('mood_entries').findOne(
+    { entry_id: req.params.entryId, user_id: req.user.userId },
+    { projection: { _id: 0 } }
   );
-  
-  // Emit message via Socket.IO (using your exact pattern)
-  io.to(`chat_${chatId}`).emit('receive_message', {
-    messageId: messageId,
-    chatId: parseInt(chatId),
-    senderId: req.user.userId,
-    content: content.trim(),
-    messageType: message_type,
-    timestamp: new Date()
-  });
-  
-  res.status(201).json({
-    message: 'Message sent successfully',
-    messageId: messageId,
-    timestamp: new Date()
-  });
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Mood entry not found' });
+  }
+
+  res.json({ entry });
 }));
 
-// Create a new chat conversation
-app.post('/conversations', authenticateToken, asyncHandler(async (req, res) => {
-  const { participant_id } = req.body;
-  
-  if (!participant_id) {
-    throw new ValidationError('Participant ID is required');
+// Update a mood entry
+app.put('/mood/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const { date, mood_score, emotions, notes, triggers } = req.body;
+
+  const updates = {};
+
+  if (date !== undefined) {
+    updates.date = parseEntryDate(date);
   }
-  
-  if (participant_id === req.user.userId) {
-    throw new ValidationError('Cannot create chat with yourself');
+
+  if (mood_score !== undefined) {
+    updates.mood_score = parseScore(mood_score, 'Mood score', MOOD_SCALE.min, MOOD_SCALE.max);
   }
-  
-  // Check if participant exists
-  const [participants] = await mysqlConnection.execute(
-    'SELECT id FROM users WHERE id = ? AND deleted_at IS NULL',
-    [participant_id]
-  );
-  
-  if (participants.length === 0) {
-    return res.status(404).json({ error: 'Participant not found' });
+
+  if (emotions !== undefined) {
+    updates.emotions = parseTagList(emotions, 'Emotions');
   }
-  
-  // Check if chat already exists
-  const [existingChats] = await mysqlConnection.execute(`
-    SELECT id FROM chats 
-    WHERE ((participant1_id = ? AND participant2_id = ?) 
-           OR (participant1_id = ? AND participant2_id = ?))
-    AND deleted_at IS NULL
-  `, [req.user.userId, participant_id, participant_id, req.user.userId]);
-  
-  if (existingChats.length > 0) {
-    return res.status(409).json({ 
-      error: 'Chat already exists',
-      chatId: existingChats[0].id
-    });
+
+  if (triggers !== undefined) {
+    updates.triggers = parseTagList(triggers, 'Triggers');
   }
-  
-  // Create new chat
-  const [result] = await mysqlConnection.execute(`
-    INSERT INTO chats (participant1_id, participant2_id, created_at, updated_at)
-    VALUES (?, ?, NOW(), NOW())
-  `, [req.user.userId, participant_id]);
-  
-  const chatId = result.insertId;
-  
-  res.status(201).json({
-    message: 'Chat created successfully',
-    chatId: chatId
+
+  if (notes !== undefined) {
+    updates.notes = parseOptionalText(notes, 'Notes');
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  updates.updated_at = new Date();
+
+  const result = await mongoDb.collection('mood_entries').updateOne(
+    { entry_id: entryId, user_id: req.user.userId },
+    { $set: updates }
+  );
+
+  if (result.matchedCount === 0) {
+    return res.status(404).json({ error: 'Mood entry not found' });
+  }
+
+  res.json({
+    message: 'Mood entry updated successfully',
+    entryId
   });
 }));
 
-// Socket.IO connection handling (using your exact pattern)
-io.on('connection', (socket) => {
-  console.log('User connected to chat service:', socket.id);
-  
-  // Join user to their rooms
-  socket.on('join_user_room', (userId) => {
-    socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
-  
-  // Join chat room
-  socket.on('join_chat', (chatId) => {
-    socket.join(`chat_${chatId}`);
-    console.log(`User joined chat: ${chatId}`);
-  });
-  
-  // Handle chat messages (using your exact pattern)
-  socket.on('send_message', async (data) => {
-    try {
-      // Emit to all users in the chat room
-      io.to(`chat_${data.chatId}`).emit('receive_message', {
-        messageId: data.messageId,
-        chatId: data.chatId,
-        senderId: data.senderId,
-        content: data.content,
-        timestamp: new Date()
-      });
-    } catch (error) {
-      socket.emit('error', { message: 'Failed to send message' });
-    }
-  });
-  
-  // Handle typing indicators (using your exact pattern)
-  socket.on('typing_start', (data) => {
-    socket.to(`chat_${data.chatId}`).emit('user_typing', {
-      userId: data.userId,
-      isTyping: true
-    });
-  });
-  
-  socket.on('typing_stop', (data) => {
-    socket.to(`chat_${data.chatId}`).emit('user_typing', {
-      userId: data.userId,
-      isTyping: false
-    });
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected from chat service:', socket.id);
+// Delete a mood entry
+app.delete('/mood/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+
+  const result = await mongoDb.collection('mood_entries').deleteOne({
+    entry_id: entryId,
+    user_id: req.user.userId
   });
-});
 
-// Error handler
-app.use((error, req, res, next) => {
-  console.error('Chat Service error:', error);
-  
-  if (error.name === 'ValidationError') {
-    return res.status(error.statusCode || 400).json({ error: error.message });
+  if (result.deletedCount === 0) {
+    return res.status(404).json({ error: 'Mood entry not found' });
   }
-  
-  if (error.code === 'ER_DUP_ENTRY') {
-    return res.status(400).json({ error: 'Duplicate entry - this record already exists' });
+
+  res.json({
+    message: 'Mood entry deleted successfully',
+    entryId
+  });
+}));
+
+// ===============================
+// ENERGY ENDPOINTS
+// ===============================
+
+// Record an energy reading (several may be logged per day)
+app.post('/energy', authenticateToken, asyncHandler(async (req, res) => {
+  const { date, period, energy_level, activities, notes } = req.body;
+
+  if (energy_level === undefined || !period) {
+    throw new ValidationError('Energy level and period are required');
   }
-  
-  if (error.response && error.response.status) {
-    return res.status(error.response.status).json({ 
-      error: 'External service error',
-      details: error.response.data?.error || 'Service unavailable'
-    });
+
+  const now = new Date();
+  const entry = {
+    entry_id: uuidv4(),
+    user_id: req.user.userId,
+    date: date ? parseEntryDate(date) : todayDateString(await getUserTimeZone(req.user.userId)),
+    period: validateEnergyPeriod(period),
+    energy_level: parseScore(energy_level, 'Energy level', ENERGY_SCALE.min, ENERGY_SCALE.max),
+    activities: parseTagList(activities, 'Activities'),
+    notes: parseOptionalText(notes, 'Notes'),
+    created_at: now,
+    updated_at: now
+  };
+
+  await mongoDb.collection('energy_entries').insertOne(entry);
+
+  res.status(201).json({
+    message: 'Energy entry created successfully',
+    entryId: entry.entry_id,
+    date: entry.date,
+    period: entry.period
+  });
+}));
+
+// Get energy readings for a date range
+app.get('/energy', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_date, end_date, period, page = 1, limit = 50 } = req.query;
+
+  const filter = buildDateRangeFilter(req.user.userId, start_date, end_date);
+  if (period) {
+    filter.period = validateEnergyPeriod(period);
   }
-  
-  res.status(500).json({ error: 'Internal server error' });
-});
 
-// Initialize and start server
+  const entries = await mongoDb.collection('energy_entries')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ date: -1, created_at: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit))
+    .toArray();
+
+  res.json({
+    entries,
+    count: entries.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+// Get per-day energy aggregates
+app.get('/energy/daily', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  if (!start_date || !end_date) {
+    throw new ValidationError('Start date and end date are required');
+  }
+
+  const filter = buildDateRangeFilter(req.user.userId, start_date, end_date);
+
+  const entries = await mongoDb.collection('energy_entries')
+    .find(filter, { projection: { _id: 0, date: 1, period: 1, energy_level: 1 } })
+    .sort({ date: 1 })
+    .toArray();
+
+  // Group readings by date, then by period within each day
+  const readingsByDate = {};
+  const readingsByPeriod = ENERGY_PERIODS.reduce((acc, period) => {
+    acc[period] = [];
+    return acc;
+  }, {});
+
+  entries.forEach(entry => {
+    if (!readingsByDate[entry.date]) {
+      readingsByDate[entry.date] = ENERGY_PERIODS.reduce((acc, period) => {
+        acc[period] = [];
+        return acc;
+      }, {});
+    }
+    readingsByDate[entry.date][entry.period].push(entry.energy_level);
+    readingsByPeriod[entry.period].push(entry.energy_level);
+  });
+
+  const days = Object.keys(readingsByDate).map(date => {
+    const periods = readingsByDate[date];
+    const allReadings = ENERGY_PERIODS.flatMap(period => periods[period]);
+
+    return {
+      date,
+      readings: allReadings.length,
+      average: average(allReadings),
+      min: Math.min(...allReadings),
+      max: Math.max(...allReadings),
+      by_period: ENERGY_PERIODS.reduce((acc, period) => {
+        acc[period] = average(periods[period]);
+        return acc;
+      }, {})
+    };
+  });
+
+  const periodAverages = ENERGY_PERIODS.reduce((acc, period) => {
+    acc[period] = average(readingsByPeriod[period]);
+    return acc;
+  }, {});
+
+  // The period with the lowest average is when energy typically runs out
+  const lowestPeriod = ENERGY_PERIODS
+    .filter(period => periodAverages[period] !== null)
+    .sort((a, b) => periodAverages[a] - periodAverages[b])[0] || null;
+
+  res.json({
+    start_date,
+    end_date,
+    days,
+    summary: {
+      total_readings: entries.length,
+      average: average(entries.map(entry => entry.energy_level)),
+      by_period: periodAverages,
+      lowest_period: lowestPeriod
+    }
+  });
+}));
+
+// Get a specific energy reading
+app.get('/energy/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const entry = await mongoDb.collection('energy_entries').findOne(
+    { entry_id: req.params.entryId, user_id: req.user.userId },
+    { projection: { _id: 0 } }
+  );
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Energy entry not found' });
+  }
+
+  res.json({ entry });
+}));
+
+// Update an energy reading
+app.put('/energy/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const { date, period, energy_level, activities, notes } = req.body;
+
+  const updates = {};
+
+  if (date !== undefined) {
+    updates.date = parseEntryDate(date);
+  }
+
+  if (period !== undefined) {
+    updates.period = validateEnergyPeriod(period);
+  }
+
+  if (energy_level !== undefined) {
+    updates.energy_level = parseScore(energy_level, 'Energy level', ENERGY_SCALE.min, ENERGY_SCALE.max);
+  }
+
+  if (activities !== undefined) {
+    updates.activities = parseTagList(activities, 'Activities');
+  }
+
+  if (notes !== undefined) {
+    updates.notes = parseOptionalText(notes, 'Notes');
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  updates.updated_at = new Date();
+
+  const result = await mongoDb.collection('energy_entries').updateOne(
+    { entry_id: entryId, user_id: req.user.userId },
+    { $set: updates }
+  );
+
+  if (result.matchedCount === 0) {
+    return res.status(404).json({ error: 'Energy entry not found' });
+  }
+
+  res.json({
+    message: 'Energy entry updated successfully',
+    entryId
+  });
+}));
+
+// Delete an energy reading
+app.delete('/energy/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+
+  const result = await mongoDb.collection('energy_entries').deleteOne({
+    entry_id: entryId,
+    user_id: req.user.userId
+  });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({ error: 'Energy entry not found' });
+  }
+
+  res.json({
+    message: 'Energy entry deleted successfully',
+    entryId
+  });
+}));
+
+// ===============================
+// SLEEP DIARY ENDPOINTS
+// ===============================
+
+// Record a night's sleep
+app.post('/sleep', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    sleep_date, bedtime, wake_time, sleep_onset_minutes,
+    night_wakings, quality_rating, notes
+  } = req.body;
+
+  if (!bedtime || !wake_time || quality_rating === undefined) {
+    throw new ValidationError('Bedtime, wake time, and quality rating are required');
+  }
+
+  const bedtimeDate = parseDateTime(bedtime, 'Bedtime');
+  const wakeTimeDate = parseDateTime(wake_time, 'Wake time');
+  validateSleepWindow(bedtimeDate, wakeTimeDate);
+
+  const onsetMinutes = sleep_onset_minutes !== undefined ? parseInt(sleep_onset_minutes) : 0;
+  if (isNaN(onsetMinutes) || onsetMinutes < 0) {
+    throw new ValidationError('Sleep onset minutes must be a positive number');
+  }
+
+  const diary = {
+    bedtime: bedtimeDate,
+    wake_time: wakeTimeDate,
+    sleep_onset_minutes: onsetMinutes,
+    night_wakings: parseNightWakings(night_wakings)
+  };
+
+  const now = new Date();
+  const entry = {
+    entry_id: uuidv4(),
+    user_id: req.user.userId,
+    // The night is filed under the date the user went to bed, in their time zone
+    sleep_date: sleep_date ? parseEntryDate(sleep_date) :
+      formatDateInZone(bedtimeDate, await getUserTimeZone(req.user.userId)),
+    ...diary,
+    quality_rating: parseScore(quality_rating, 'Quality rating', SLEEP_QUALITY_SCALE.min, SLEEP_QUALITY_SCALE.max),
+    notes: parseOptionalText(notes, 'Notes'),
+    ...computeSleepMetrics(diary),
+    created_at: now,
+    updated_at: now
+  };
+
+  await mongoDb.collection('sleep_entries').insertOne(entry);
+
+  res.status(201).json({
+    message: 'Sleep entry created successfully',
+    entryId: entry.entry_id,
+    sleepDate: entry.sleep_date,
+    totalSleepMinutes: entry.total_sleep_minutes,
+    sleepEfficiency: entry.sleep_efficiency
+  });
+}));
+
+// Get sleep entries for a date range
+app.get('/sleep', authenticateToken, asyncHandler(async (req, res) => {
+  const { start_date, end_date, page = 1, limit = 31 } = req.query;
+
+  const filter = buildDateRangeFilter(req.user.userId, start_date, end_date, 'sleep_date');
+
+  const entries = await mongoDb.collection('sleep_entries')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ sleep_date: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit))
+    .toArray();
+
+  res.json({
+    entries,
+    count: entries.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+// Get weekly or monthly sleep summary
+app.get('/sleep/summary', authenticateToken, asyncHandler(async (req, res) => {
+  const { period = 'week', date } = req.query;
+
+  const range = getSummaryRange(period, date ? parseEntryDate(date) : todayDateString(await getUserTimeZone(req.user.userId)));
+  const filter = buildDateRangeFilter(req.user.userId, range.start_date, range.end_date, 'sleep_date');
+
+  const entries = await mongoDb.collection('sleep_entries')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ sleep_date: 1 })
+    .toArray();
+
+  const wakingsByReason = NIGHT_WAKING_REASONS.reduce((acc, reason) => {
+    acc[reason] = 0;
+    return acc;
+  }, {});
+
+  entries.forEach(entry => {
+    entry.night_wakings.forEach(waking => {
+      wakingsByReason[waking.reason] += 1;
+    });
+  });
+
+  const childWakings = entries.flatMap(entry =>
+    entry.night_wakings.filter(waking => CHILD_WAKING_REASONS.includes(waking.reason))
+  );
+
+  res.json({
+    summary: {
+      period,
+      ...range,
+      nights_logged: entries.length,
+      averages: {
+        total_sleep_minutes: average(entries.map(entry => entry.total_sleep_minutes)),
+        time_in_bed_minutes: average(entries.map(entry => entry.time_in_bed_minutes)),
+        sleep_efficiency: average(entries.map(entry => entry.sleep_efficiency)),
+        quality_rating: average(entries.map(entry => entry.quality_rating)),
+        wakings_per_night: average(entries.map(entry => entry.wakings_count))
+      },
+      child_wakings: {
+        total: childWakings.length,
+        nights_affected: entries.filter(entry => entry.child_wakings_count > 0).length,
+        minutes_awake: childWakings.reduce((sum, waking) => sum + waking.duration_minutes, 0)
+      },
+      wakings_by_reason: wakingsByReason
+    },
+    nights: entries.map(entry => ({
+      sleep_date: entry.sleep_date,
+      total_sleep_minutes: entry.total_sleep_minutes,
+      sleep_efficiency: entry.sleep_efficiency,
+      quality_rating: entry.quality_rating,
+      wakings_count: entry.wakings_count,
+      child_wakings_count: entry.child_wakings_count
+    }))
+  });
+}));
+
+// Get a specific sleep entry
+app.get('/sleep/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const entry = await mongoDb.collection('sleep_entries').findOne(
+    { entry_id: req.params.entryId, user_id: req.user.userId },
+    { projection: { _id: 0 } }
+  );
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Sleep entry not found' });
+  }
+
+  res.json({ entry });
+}));
+
+// Update a sleep entry
+app.put('/sleep/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const {
+    sleep_date, bedtime, wake_time, sleep_onset_minutes,
+    night_wakings, quality_rating, notes
+  } = req.body;
+
+  const sleepCollection = mongoDb.collection('sleep_entries');
+  const existing = await sleepCollection.findOne({ entry_id: entryId, user_id: req.user.userId });
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Sleep entry not found' });
+  }
+
+  const updates = {};
+
+  if (sleep_date !== undefined) {
+    updates.sleep_date = parseEntryDate(sleep_date);
+  }
+
+  if (bedtime !== undefined) {
+    updates.bedtime = parseDateTime(bedtime, 'Bedtime');
+  }
+
+  if (wake_time !== undefined) {
+    updates.wake_time = parseDateTime(wake_time, 'Wake time');
+  }
+
+  if (sleep_onset_minutes !== undefined) {
+    const onsetMinutes = parseInt(sleep_onset_minutes);
+    if (isNaN(onsetMinutes) || onsetMinutes < 0) {
+      throw new ValidationError('Sleep onset minutes must be a positive number');
+    }
+    updates.sleep_onset_minutes = onsetMinutes;
+  }
+
+  if (night_wakings !== undefined) {
+    updates.night_wakings = parseNightWakings(night_wakings);
+  }
+
+  if (quality_rating !== undefined) {
+    updates.quality_rating = parseScore(quality_rating, 'Quality rating', SLEEP_QUALITY_SCALE.min, SLEEP_QUALITY_SCALE.max);
+  }
+
+  if (notes !== undefined) {
+    updates.notes = parseOptionalText(notes, 'Notes');
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  // Recompute derived metrics from the merged diary
+  const diary = {
+    bedtime: updates.bedtime || existing.bedtime,
+    wake_time: updates.wake_time || existing.wake_time,
+    sleep_onset_minutes: updates.sleep_onset_minutes !== undefined ?
+      updates.sleep_onset_minutes : existing.sleep_onset_minutes,
+    night_wakings: updates.night_wakings || existing.night_wakings
+  };
+  validateSleepWindow(diary.bedtime, diary.wake_time);
+
+  Object.assign(updates, computeSleepMetrics(diary), { updated_at: new Date() });
+
+  await sleepCollection.updateOne(
+    { entry_id: entryId, user_id: req.user.userId },
+    { $set: updates }
+  );
+
+  res.json({
+    message: 'Sleep entry updated successfully',
+    entryId,
+    totalSleepMinutes: updates.total_sleep_minutes,
+    sleepEfficiency: updates.sleep_efficiency
+  });
+}));
+
+// Delete a sleep entry
+app.delete('/sleep/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+
+  const result = await mongoDb.collection('sleep_entries').deleteOne({
+    entry_id: entryId,
+    user_id: req.user.userId
+  });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({ error: 'Sleep entry not found' });
+  }
+
+  res.json({
+    message: 'Sleep entry deleted successfully',
+    entryId
+  });
+}));
+
+// ===============================
+// REFLECTION JOURNAL ENDPOINTS
+// ===============================
+
+// Get guided reflection prompts
+app.get('/reflections/prompts', authenticateToken, (req, res) => {
+  // Rotate the suggested prompt daily so users see a different one each day
+  const dayNumber = Math.floor(Date.now() / (24 * 60 * 60 * 1000));
+
+  res.json({
+    prompts: REFLECTION_PROMPTS,
+    prompt_of_the_day: REFLECTION_PROMPTS[dayNumber % REFLECTION_PROMPTS.length]
+  });
+});
+
+// Create a reflection
+app.post('/reflections', authenticateToken, asyncHandler(async (req, res) => {
+  const { date, title, content, prompt_id, tags, privacy_level = 'private' } = req.body;
+
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new ValidationError('Reflection content is required');
+  }
+
+  const prompt = prompt_id ? findPrompt(prompt_id) : null;
+
+  const now = new Date();
+  const reflection = {
+    entry_id: uuidv4(),
+    user_id: req.user.userId,
+    date: date ? parseEntryDate(date) : todayDateString(await getUserTimeZone(req.user.userId)),
+    title: parseOptionalText(title, 'Title'),
+    content: content.trim(),
+    prompt_id: prompt ? prompt.id : null,
+    prompt_text: prompt ? prompt.text : null,
+    tags: parseTagList(tags, 'Tags', 20),
+    privacy_level: validatePrivacyLevel(privacy_level),
+    created_at: now,
+    updated_at: now
+  };
+
+  await mongoDb.collection('reflections').insertOne(reflection);
+
+  res.status(201).json({
+    message: 'Reflection created successfully',
+    entryId: reflection.entry_id,
+    date: reflection.date
+  });
+}));
+
+// Get reflections, optionally filtered by date range, tag, privacy level or keyword
+app.get('/reflections', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    start_date, end_date, tag, privacy_level, search,
+    page = 1, limit = 20
+  } = req.query;
+
+  const filter = buildDateRangeFilter(req.user.userId, start_date, end_date);
+
+  // Repeated ?tag= parameters arrive as an array and must all match
+  if (tag) {
+    const tags = parseTagList(Array.isArray(tag) ? tag : [tag], 'Tag');
+    if (tags.length > 0) {
+      filter.tags = tags.length === 1 ? tags[0] : { $all: tags };
+    }
+  }
+
+  if (privacy_level) {
+    filter.privacy_level = validatePrivacyLevel(privacy_level);
+  }
+
+  if (search !== undefined && typeof search !== 'string') {
+    throw new ValidationError('Search must be a single value');
+  }
+
+  if (search && search.trim().length > 0) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    filter.$or = [
+      { title: pattern },
+      { content: pattern },
+      { tags: pattern }
+    ];
+  }
+
+  const reflections = await mongoDb.collection('reflections')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ date: -1, created_at: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit))
+    .toArray();
+
+  res.json({
+    reflections,
+    count: reflections.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+// Get a specific reflection
+app.get('/reflections/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const reflection = await mongoDb.collection('reflections').findOne(
+    { entry_id: req.params.entryId, user_id: req.user.userId },
+    { projection: { _id: 0 } }
+  );
+
+  if (!reflection) {
+    return res.status(404).json({ error: 'Reflection not found' });
+  }
+
+  res.json({ reflection });
+}));
+
+// Update a reflection
+app.put('/reflections/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  const { date, title, content, prompt_id, tags, privacy_level } = req.body;
+
+  const updates = {};
+
+  if (date !== undefined) {
+    updates.date = parseEntryDate(date);
+  }
+
+  if (title !== undefined) {
+    updates.title = parseOptionalText(title, 'Title');
+  }
+
+  if (content !== undefined) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new ValidationError('Reflection content cannot be empty');
+    }
+    updates.content = content.trim();
+  }
+
+  if (prompt_id !== undefined) {
+    const prompt = prompt_id ? findPrompt(prompt_id) : null;
+    updates.prompt_id = prompt ? prompt.id : null;
+    updates.prompt_text = prompt ? prompt.text : null;
+  }
+
+  if (tags !== undefined) {
+    updates.tags = parseTagList(tags, 'Tags', 20);
+  }
+
+  if (privacy_level !== undefined) {
+    updates.privacy_level = validatePrivacyLevel(privacy_level);
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  updates.updated_at = new Date();
+
+  const result = await mongoDb.collection('reflections').updateOne(
+    { entry_id: entryId, user_id: req.user.userId },
+    { $set: updates }
+  );
+
+  if (result.matchedCount === 0) {
+    return res.status(404).json({ error: 'Reflection not found' });
+  }
+
+  res.json({
+    message: 'Reflection updated successfully',
+    entryId
+  });
+}));
+
+// Delete a reflection
+app.delete('/reflections/:entryId', authenticateToken, asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+
+  const result = await mongoDb.collection('reflections').deleteOne({
+    entry_id: entryId,
+    user_id: req.user.userId
+  });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({ error: 'Reflection not found' });
+  }
+
+  res.json({
+    message: 'Reflection deleted successfully',
+    entryId
+  });
+}));
+
+// ===============================
+// CARE LOG ENDPOINTS
+// ===============================
+
+// Record a care log entry for a child
+app.post('/care-logs', authenticateToken, asyncHandler(async (req, res) => {
+  const { child_id, log_date, logged_at, category, details, notes } = req.body;
+
+  if (!child_id || !category) {
+    throw new ValidationError('Child ID and category are required');
+  }
+
+  const validatedCategory = validateCareLogCategory(category);
+  const parsedDetails = parseCareLogDetails(validatedCategory, details);
+
+  if (validatedCategory === 'note' && !parseOptionalText(notes, 'Notes')) {
+    throw new ValidationError('Notes are required for a note entry');
+  }
+
+  const childId = await verifyChildOwnership(child_id, req.user.userId);
+  if (!childId) {
+    return res.status(404).json({ error: 'Child not found' });
+  }
+
+  const now = new Date();
+  const loggedAt = logged_at ? parseDateTime(logged_at, 'Logged at') : now;
+  const log = {
+    log_id: uuidv4(),
+    user_id: req.user.userId,
+    child_id: childId,
+    log_date: log_date ? parseEntryDate(log_date) :
+      formatDateInZone(loggedAt, await getUserTimeZone(req.user.userId)),
+    logged_at: loggedAt,
+    category: validatedCategory,
+    details: parsedDetails,
+    notes: parseOptionalText(notes, 'Notes'),
+    created_at: now,
+    updated_at: now
+  };
+
+  await mongoDb.collection('care_logs').insertOne(log);
+
+  res.status(201).json({
+    message: 'Care log created successfully',
+    logId: log.log_id,
+    logDate: log.log_date
+  });
+}));
+
+// Get care logs, filtered by child, category and date range
+app.get('/care-logs', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    child_id, category, start_date, end_date,
+    page = 1, limit = 50
+  } = req.query;
+
+  const filter = buildDateRangeFilter(req.user.userId, start_date, end_date, 'log_date');
+
+  if (child_id) {
+    filter.child_id = parseInt(child_id);
+  }
+
+  if (category) {
+    filter.category = validateCareLogCategory(category);
+  }
+
+  const logs = await mongoDb.collection('care_logs')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ log_date: -1, logged_at: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit))
+    .toArray();
+
+  res.json({
+    care_logs: logs,
+    count: logs.length,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+// Get one child's care logs for a single day, grouped by category
+app.get('/care-logs/daily', authenticateToken, asyncHandler(async (req, res) => {
+  const { child_id, date } = req.query;
+
+  if (!child_id) {
+    throw new ValidationError('Child ID is required');
+  }
+
+  const logDate = date ? parseEntryDate(date) : todayDateString(await getUserTimeZone(req.user.userId));
+
+  const logs = await mongoDb.collection('care_logs')
+    .find(
+      { user_id: req.user.userId, child_id: parseInt(child_id), log_date: logDate },
+      { projection: { _id: 0 } }
+    )
+    .sort({ logged_at: 1 })
+    .toArray();
+
+  const logsByCategory = Object.keys(CARE_LOG_CATEGORIES).reduce((acc, category) => {
+    acc[category] = logs.filter(log => log.category === category);
+    return acc;
+  }, {});
+
+  res.json({
+    child_id: parseInt(child_id),
+    date: logDate,
+    logs_by_category: logsByCategory,
+    total_logs: logs.length
+  });
+}));
+
+// Get a specific care log
+app.get('/care-logs/:logId', authenticateToken, asyncHandler(async (req, res) => {
+  const log = await mongoDb.collection('care_logs').findOne(
+    { log_id: req.params.logId, user_id: req.user.userId },
+    { projection: { _id: 0 } }
+  );
+
+  if (!log) {
+    return res.status(404).json({ error: 'Care log not found' });
+  }
+
+  res.json({ care_log: log });
+}));
+
+// Update a care log
+app.put('/care-logs/:logId', authenticateToken, asyncHandler(async (req, res) => {
+  const { logId } = req.params;
+  const { child_id, log_date, logged_at, category, details, notes } = req.body;
+
+  const careLogsCollection = mongoDb.collection('care_logs');
+  const existing = await careLogsCollection.findOne({ log_id: logId, user_id: req.user.userId });
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Care log not found' });
+  }
+
+  const updates = {};
+
+  if (child_id !== undefined) {
+    const childId = await verifyChildOwnership(child_id, req.user.userId);
+    if (!childId) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+    updates.child_id = childId;
+  }
+
+  if (log_date !== undefined) {
+    updates.log_date = parseEntryDate(log_date);
+  }
+
+  if (logged_at !== undefined) {
+    updates.logged_at = parseDateTime(logged_at, 'Logged at');
+  }
+
+  // Details are validated against the (possibly new) category as a whole
+  if (category !== undefined || details !== undefined) {
+    const validatedCategory = validateCareLogCategory(category || existing.category);
+    updates.category = validatedCategory;
+    updates.details = parseCareLogDetails(validatedCategory, details || existing.details);
+  }
+
+  if (notes !== undefined) {
+    updates.notes = parseOptionalText(notes, 'Notes');
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  updates.updated_at = new Date();
+
+  await careLogsCollection.updateOne(
+    { log_id: logId, user_id: req.user.userId },
+    { $set: updates }
+  );
+
+  res.json({
+    message: 'Care log updated successfully',
+    logId
+  });
+}));
+
+// Delete a care log
+app.delete('/care-logs/:logId', authenticateToken, asyncHandler(async (req, res) => {
+  const { logId } = req.params;
+
+  const result = await mongoDb.collection('care_logs').deleteOne({
+    log_id: logId,
+    user_id: req.user.userId
+  });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({ error: 'Care log not found' });
+  }
+
+  res.json({
+    message: 'Care log deleted successfully',
+    logId
+  });
+}));
+
+// Error handler
+app.use((error, req, res, next) => {
+  console.error('Tracking Service error:', error);
+  
+  if (error.name === 'ValidationError') {
+    return res.status(error.statusCode || 400).json({ error: error.message });
+  }
+  
+  if (error.code === 11000) {
+    return res.status(400).json({ error: 'Duplicate entry - this record already exists' });
+  }
+  
+  if (error.response && error.response.status) {
+    return res.status(error.response.status).json({ 
+      error: 'External service error',
+      details: error.response.data?.error || 'Service unavailable'
+    });
+  }
+  
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Initialize and start server
 async function startServer() {
   try {
     await connectMySQL();
     await connectCosmosDB();
-    
-    const PORT = process.env.PORT || 3003;
-    server.listen(PORT, () => {
-      console.log(`💬 Chat Service running on port ${PORT}`);
+
+    const PORT = process.env.PORT || 3004;
+    app.listen(PORT, () => {
+      console.log(`📈 Tracking Service running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
     });
   } catch (error) {
-    console.error('❌ Failed to start Chat Service:', error);
+    console.error('❌ Failed to start Tracking Service:', error);
     process.exit(1);
   }
 }
 
-startServer();
\ No newline at end of file
+startServer();
@@ -100,6 +100,65 @@ class ValidationError extends Error {
   }
 }
 
+// Utility functions
+const parseJsonArray = (value) => {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const validateStringList = (value, fieldName) => {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new ValidationError(`${fieldName} must be an array of strings`);
+  }
+  return value.map(item => item.trim()).filter(Boolean);
+};
+
+const parseDateOfBirth = (dateString) => {
+  if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    throw new ValidationError('Date of birth must be in YYYY-MM-DD format');
+  }
+  // Impossible dates such as 2021-02-30 roll over, so they no longer round-trip
+  const date = new Date(`${dateString}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().split('T')[0] !== dateString) {
+    throw new ValidationError('Invalid date of birth');
+  }
+  if (date > new Date()) {
+    throw new ValidationError('Date of birth cannot be in the future');
+  }
+  return dateString;
+};
+
+const validCommunicationStyles = [
+  'verbal', 'minimally_verbal', 'non_verbal', 'aac_device', 'sign_language', 'picture_exchange', 'other'
+];
+
+const validateCommunicationStyle = (style) => {
+  if (!validCommunicationStyles.includes(style)) {
+    throw new ValidationError('Invalid communication style');
+  }
+  return style;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatChild = (child) => ({
+  ...child,
+  diagnoses: parseJsonArray(child.diagnoses),
+  support_needs: parseJsonArray(child.support_needs),
+  is_archived: !!child.archived_at
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -112,7 +171,7 @@ app.get('/health', (req, res) => {
 // Get current user info (using your exact pattern)
 app.get('/me', authenticateToken, asyncHandler(async (req, res) => {
   const [users] = await mysqlConnection.execute(`
-    SELECT id, name, email, phone, role, preferences, last_active, created_at
+    SELECT id, name, email, phone, role, preferences, time_zone, last_active, created_at
     FROM users WHERE id = ? AND deleted_at IS NULL
   `, [req.user.userId]);
   
@@ -132,12 +191,17 @@ app.get('/me', authenticateToken, asyncHandler(async (req, res) => {
 
 // Update user profile
 app.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
-  const { name, phone, preferences } = req.body;
+  const { name, phone, preferences, time_zone } = req.body;
   
   if (!name || name.trim().length === 0) {
     throw new ValidationError('Name is required');
   }
   
+  // Calendar ranges and day groupings are computed in this zone
+  if (time_zone !== undefined && time_zone !== null && !isValidTimeZone(time_zone)) {
+    throw new ValidationError('Invalid time zone');
+  }
+  
   // Validate preferences if provided
   let preferencesJson = '{}';
   if (preferences) {
@@ -151,13 +215,13 @@ app.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
   // Update user
   await mysqlConnection.execute(`
     UPDATE users 
-    SET name = ?, phone = ?, preferences = ?, updated_at = NOW()
+    SET name = ?, phone = ?, preferences = ?, time_zone = COALESCE(?, time_zone), updated_at = NOW()
     WHERE id = ? AND deleted_at IS NULL
-  `, [name.trim(), phone || null, preferencesJson, req.user.userId]);
+  `, [name.trim(), phone || null, preferencesJson, time_zone || null, req.user.userId]);
   
   // Get updated user data
   const [users] = await mysqlConnection.execute(`
-    SELECT id, name, email, phone, role, preferences, last_active, created_at, updated_at
+    SELECT id, name, email, phone, role, preferences, time_zone, last_active, created_at, updated_at
     FROM users WHERE id = ?
   `, [req.user.userId]);
   
@@ -174,6 +238,193 @@ app.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// ===============================
+// CHILDREN PROFILES
+// ===============================
+
+// Create a child profile owned by the current caregiver
+app.post('/children', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    name, date_of_birth, diagnoses, communication_style,
+    support_needs, photo_url, notes
+  } = req.body;
+
+  if (!name || name.trim().length === 0) {
+    throw new ValidationError('Child name is required');
+  }
+
+  const [result] = await mysqlConnection.execute(`
+    INSERT INTO children (
+      user_id, name, date_of_birth, diagnoses, communication_style,
+      support_needs, photo_url, notes, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+  `, [
+    req.user.userId, name.trim(),
+    date_of_birth ? parseDateOfBirth(date_of_birth) : null,
+    JSON.stringify(diagnoses ? validateStringList(diagnoses, 'Diagnoses') : []),
+    communication_style ? validateCommunicationStyle(communication_style) : null,
+    JSON.stringify(support_needs ? validateStringList(support_needs, 'Support needs') : []),
+    photo_url || null, notes || null
+  ]);
+
+  res.status(201).json({
+    message: 'Child profile created successfully',
+    childId: result.insertId
+  });
+}));
+
+// Get the current caregiver's children
+app.get('/children', authenticateToken, asyncHandler(async (req, res) => {
+  const { include_archived = 'false' } = req.query;
+
+  let query = `
+    SELECT id, name, date_of_birth, diagnoses, communication_style, support_needs,
+           photo_url, notes, archived_at, created_at, updated_at
+    FROM children
+    WHERE user_id = ? AND deleted_at IS NULL
+  `;
+
+  if (include_archived === 'false') {
+    query += ' AND archived_at IS NULL';
+  }
+
+  query += ' ORDER BY name ASC';
+
+  const [children] = await mysqlConnection.execute(query, [req.user.userId]);
+
+  res.json({
+    children: children.map(formatChild),
+    count: children.length
+  });
+}));
+
+// Get a specific child profile
+app.get('/children/:childId', authenticateToken, asyncHandler(async (req, res) => {
+  const [children] = await mysqlConnection.execute(`
+    SELECT id, name, date_of_birth, diagnoses, communication_style, support_needs,
+           photo_url, notes, archived_at, created_at, updated_at
+    FROM children
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, [req.params.childId, req.user.userId]);
+
+  if (children.length === 0) {
+    return res.status(404).json({ error: 'Child not found' });
+  }
+
+  res.json({ child: formatChild(children[0]) });
+}));
+
+// Update a child profile
+app.put('/children/:childId', authenticateToken, asyncHandler(async (req, res) => {
+  const { childId } = req.params;
+  const {
+    name, date_of_birth, diagnoses, communication_style,
+    support_needs, photo_url, notes
+  } = req.body;
+
+  const updateFields = [];
+  const params = [];
+
+  if (name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      throw new ValidationError('Child name cannot be empty');
+    }
+    updateFields.push('name = ?');
+    params.push(name.trim());
+  }
+
+  if (date_of_birth !== undefined) {
+    updateFields.push('date_of_birth = ?');
+    params.push(date_of_birth ? parseDateOfBirth(date_of_birth) : null);
+  }
+
+  if (diagnoses !== undefined) {
+    updateFields.push('diagnoses = ?');
+    params.push(JSON.stringify(diagnoses ? validateStringList(diagnoses, 'Diagnoses') : []));
+  }
+
+  if (communication_style !== undefined) {
+    updateFields.push('communication_style = ?');
+    params.push(communication_style ? validateCommunicationStyle(communication_style) : null);
+  }
+
+  if (support_needs !== undefined) {
+    updateFields.push('support_needs = ?');
+    params.push(JSON.stringify(support_needs ? validateStringList(support_needs, 'Support needs') : []));
+  }
+
+  if (photo_url !== undefined) {
+    updateFields.push('photo_url = ?');
+    params.push(photo_url || null);
+  }
+
+  if (notes !== undefined) {
+    updateFields.push('notes = ?');
+    params.push(notes || null);
+  }
+
+  if (updateFields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  updateFields.push('updated_at = NOW()');
+  params.push(childId, req.user.userId);
+
+  const [result] = await mysqlConnection.execute(`
+    UPDATE children SET ${updateFields.join(', ')}
+    WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+  `, params);
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Child not found' });
+  }
+
+  res.json({
+    message: 'Child profile updated successfully',
+    childId: parseInt(childId)
+  });
+}));
+
+// Archive a child profile (hidden from lists, history is kept)
+app.put('/children/:childId/archive', authenticateToken, asyncHandler(async (req, res) => {
+  const { childId } = req.params;
+
+  const [result] = await mysqlConnection.execute(`
+    UPDATE children
+    SET archived_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND archived_at IS NULL AND deleted_at IS NULL
+  `, [childId, req.user.userId]);
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Child not found or already archived' });
+  }
+
+  res.json({
+    message: 'Child profile archived successfully',
+    childId: parseInt(childId)
+  });
+}));
+
+// Restore an archived child profile
+app.put('/children/:childId/unarchive', authenticateToken, asyncHandler(async (req, res) => {
+  const { childId } = req.params;
+
+  const [result] = await mysqlConnection.execute(`
+    UPDATE children
+    SET archived_at = NULL, updated_at = NOW()
+    WHERE id = ? AND user_id = ? AND archived_at IS NOT NULL AND deleted_at IS NULL
+  `, [childId, req.user.userId]);
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: 'Child not found or not archived' });
+  }
+
+  res.json({
+    message: 'Child profile restored successfully',
+    childId: parseInt(childId)
+  });
+}));
+
 // Get user by ID (for other services or admin use)
 app.get('/:userId', authenticateToken, asyncHandler(async (req, res) => {
   const { userId } = req.params;
@@ -184,7 +435,7 @@ app.get('/:userId', authenticateToken, asyncHandler(async (req, res) => {
   }
   
   const [users] = await mysqlConnection.execute(`
-    SELECT id, name, email, phone, role, preferences, last_active, created_at
+    SELECT id, name, email, phone, role, preferences, time_zone, last_active, created_at
     FROM users WHERE id = ? AND deleted_at IS NULL
   `, [userId]);
   